@@ -0,0 +1,100 @@
+/**
+ * 🪨 Bedrock Edition Protocol
+ * RakNet Unconnected Ping / Pong used for the Bedrock server list
+ *
+ * ✨ Provides:
+ * - Unconnected Ping builder
+ * - Unconnected Pong parser with MOTD string decoding
+ */
+
+const { ProtocolError } = require('./mc_protocol');
+
+const RAKNET = {
+    DEFAULT_PORT: 19132,
+    UNCONNECTED_PING: 0x01,
+    UNCONNECTED_PONG: 0x1C,
+
+    // "Offline message" magic present in every unconnected packet
+    MAGIC: Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex')
+};
+
+// 📤 0x01 | int64 time | magic | int64 client GUID
+function createUnconnectedPing(timestamp, clientGuid) {
+    const packet = Buffer.alloc(1 + 8 + RAKNET.MAGIC.length + 8);
+    let offset = 0;
+
+    packet.writeUInt8(RAKNET.UNCONNECTED_PING, offset++);
+    packet.writeBigInt64BE(BigInt(timestamp), offset);
+    offset += 8;
+    RAKNET.MAGIC.copy(packet, offset);
+    offset += RAKNET.MAGIC.length;
+    packet.writeBigInt64BE(BigInt.asIntN(64, BigInt(clientGuid)), offset);
+
+    return packet;
+}
+
+// 📥 0x1C | int64 time | int64 server GUID | magic | uint16 length | MOTD string
+function parseUnconnectedPong(buffer) {
+    const headerLength = 1 + 8 + 8 + RAKNET.MAGIC.length + 2;
+
+    if (buffer.length < headerLength) {
+        throw new ProtocolError('Unconnected Pong is too short');
+    }
+    if (buffer[0] !== RAKNET.UNCONNECTED_PONG) {
+        throw new ProtocolError(`Unexpected RakNet packet ID 0x${buffer[0].toString(16)}`);
+    }
+
+    const timestamp = buffer.readBigInt64BE(1);
+    const serverGuid = buffer.readBigInt64BE(9);
+
+    if (!buffer.subarray(17, 17 + RAKNET.MAGIC.length).equals(RAKNET.MAGIC)) {
+        throw new ProtocolError('Missing RakNet offline magic');
+    }
+
+    const stringLength = buffer.readUInt16BE(17 + RAKNET.MAGIC.length);
+    if (buffer.length < headerLength + stringLength) {
+        throw new ProtocolError('Truncated Unconnected Pong string');
+    }
+
+    return {
+        timestamp,
+        serverGuid,
+        ...parseBedrockMOTD(buffer.toString('utf8', headerLength, headerLength + stringLength))
+    };
+}
+
+// Edition;MOTD;protocol;version;online;max;GUID;sub-MOTD;gamemode;gamemode ID;port v4;port v6;
+function parseBedrockMOTD(motdString) {
+    const fields = motdString.split(';');
+
+    if (fields.length < 6) {
+        throw new ProtocolError('Bedrock MOTD string has too few fields');
+    }
+
+    const toInt = (value) => {
+        const number = parseInt(value, 10);
+        return Number.isNaN(number) ? null : number;
+    };
+
+    return {
+        edition: fields[0],
+        motd: fields[1],
+        protocol: toInt(fields[2]),
+        version: fields[3],
+        online: toInt(fields[4]) || 0,
+        max: toInt(fields[5]) || 0,
+        guid: fields[6] || null,
+        subMotd: fields[7] || '',
+        gamemode: fields[8] || null,
+        gamemodeId: toInt(fields[9]),
+        portV4: toInt(fields[10]),
+        portV6: toInt(fields[11])
+    };
+}
+
+module.exports = {
+    RAKNET,
+    createUnconnectedPing,
+    parseUnconnectedPong,
+    parseBedrockMOTD
+};
@@ -0,0 +1,137 @@
+/**
+ * 🛑 Do-Not-Scan Registry
+ * Persistent opt-out list checked before any probe is sent
+ *
+ * ✨ Provides:
+ * - CIDR, single-IP and ASN entries from one or more files
+ * - Optional ASN tags and notes on CIDR entries (for abuse contacts)
+ * - Live reload when a file changes
+ * - Appending entries from the command line
+ *
+ * File format, one entry per line:
+ *   203.0.113.0/24  AS64500  # Example Hosting, abuse@example.net, ticket 4821
+ *   198.51.100.7
+ *   2001:db8:42::/48
+ *   AS64511                  # whole network by ASN
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const CIDRSet = require('./cidr_set');
+const { parseCIDR } = require('./ip_utils');
+
+const ASN_PATTERN = /^AS(\d+)$/i;
+
+function parseBlocklistLine(line, source) {
+    const commentIndex = line.indexOf('#');
+    const note = commentIndex === -1 ? '' : line.substring(commentIndex + 1).trim();
+    const fields = (commentIndex === -1 ? line : line.substring(0, commentIndex)).trim().split(/\s+/).filter(Boolean);
+
+    if (fields.length === 0) return null;
+
+    const asnMatch = fields[0].match(ASN_PATTERN);
+    if (asnMatch) {
+        return { type: 'asn', asn: Number(asnMatch[1]), note, source };
+    }
+
+    const { cidr } = parseCIDR(fields[0]);
+    const tag = fields[1] && fields[1].match(ASN_PATTERN);
+
+    return { type: 'cidr', cidr, asn: tag ? Number(tag[1]) : null, note, source };
+}
+
+class Blocklist extends EventEmitter {
+    constructor(files = []) {
+        super();
+        // "~/..." paths from config files
+        this.files = files.map(file => file.replace(/^~(?=$|[\\/])/, os.homedir()));
+        this.entries = [];
+        this.cidrSet = new CIDRSet();
+        this.asns = new Set();
+        this.asnResolver = null;
+        this.watching = false;
+    }
+
+    // Missing files are treated as empty so a fresh install just works
+    load() {
+        const entries = [];
+
+        for (const file of this.files) {
+            let data = '';
+            try {
+                data = fs.readFileSync(file, 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+
+            data.split('\n').forEach((line, index) => {
+                try {
+                    const entry = parseBlocklistLine(line, file);
+                    if (entry) entries.push(entry);
+                } catch (error) {
+                    this.emit('invalid', { file, line: index + 1, error });
+                }
+            });
+        }
+
+        this.entries = entries;
+        this.cidrSet = new CIDRSet(entries.filter(entry => entry.type === 'cidr').map(entry => entry.cidr));
+        this.asns = new Set(entries.filter(entry => entry.type === 'asn').map(entry => entry.asn));
+
+        return this;
+    }
+
+    // Bare ASN entries only apply once something can map IPs to ASNs
+    setAsnResolver(resolver) {
+        this.asnResolver = resolver;
+    }
+
+    isBlocked(ip) {
+        if (this.cidrSet.contains(ip)) return true;
+
+        if (this.asns.size > 0 && this.asnResolver) {
+            const asn = this.asnResolver(ip);
+            return asn !== null && asn !== undefined && this.asns.has(Number(asn));
+        }
+
+        return false;
+    }
+
+    watch(interval = 2000) {
+        if (this.watching) return;
+        this.watching = true;
+
+        for (const file of this.files) {
+            fs.watchFile(file, { interval }, (current, previous) => {
+                if (current.mtimeMs === previous.mtimeMs) return;
+
+                try {
+                    this.load();
+                    this.emit('reloaded', this.entries.length);
+                } catch (error) {
+                    this.emit('error', error);
+                }
+            });
+        }
+    }
+
+    close() {
+        if (!this.watching) return;
+        this.files.forEach(file => fs.unwatchFile(file));
+        this.watching = false;
+    }
+
+    // Validates, then appends one line to the given file
+    static async append(file, entry, note = '') {
+        const line = `${entry}${note ? `  # ${note.replace(/\n/g, ' ')}` : ''}`;
+        parseBlocklistLine(line, file);
+
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, line + '\n');
+    }
+}
+
+module.exports = Blocklist;
+module.exports.parseBlocklistLine = parseBlocklistLine;
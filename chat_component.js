@@ -0,0 +1,287 @@
+/**
+ * 💬 Chat Component
+ * Renders Minecraft chat components (status descriptions / MOTDs)
+ *
+ * ✨ Provides:
+ * - Full component tree walk: text, nested extra, translate/with,
+ *   keybind, score and selector content, arrays of components
+ * - Style inheritance: named and #RRGGBB colours, bold, italic,
+ *   underlined, strikethrough, obfuscated
+ * - Legacy § codes inside text, case-insensitive, including §x hex
+ * - Plain text, ANSI (chalk) and HTML output
+ */
+
+const chalk = require('chalk');
+
+const NAMED_COLORS = {
+    black: '#000000',
+    dark_blue: '#0000AA',
+    dark_green: '#00AA00',
+    dark_aqua: '#00AAAA',
+    dark_red: '#AA0000',
+    dark_purple: '#AA00AA',
+    gold: '#FFAA00',
+    gray: '#AAAAAA',
+    dark_gray: '#555555',
+    blue: '#5555FF',
+    green: '#55FF55',
+    aqua: '#55FFFF',
+    red: '#FF5555',
+    light_purple: '#FF55FF',
+    yellow: '#FFFF55',
+    white: '#FFFFFF'
+};
+
+// §0-§f in order
+const LEGACY_COLORS = Object.values(NAMED_COLORS);
+
+const LEGACY_FORMATS = {
+    k: 'obfuscated',
+    l: 'bold',
+    m: 'strikethrough',
+    n: 'underlined',
+    o: 'italic'
+};
+
+const STYLE_FLAGS = ['bold', 'italic', 'underlined', 'strikethrough', 'obfuscated'];
+
+// Vanilla strings for keys servers use; other keys render as the key itself,
+// as in a client without that language entry
+const TRANSLATIONS = {
+    'chat.type.text': '<%s> %s',
+    'chat.type.announcement': '[%s] %s',
+    'chat.type.emote': '* %s %s',
+    'chat.square_brackets': '[%s]'
+};
+
+// Servers can nest components arbitrarily; deeper levels are dropped
+const MAX_DEPTH = 32;
+
+const PLAIN_STYLE = Object.freeze({
+    color: null,
+    bold: false,
+    italic: false,
+    underlined: false,
+    strikethrough: false,
+    obfuscated: false
+});
+
+function parseColor(color) {
+    if (typeof color !== 'string') return undefined;
+    const name = color.toLowerCase();
+    if (NAMED_COLORS[name]) return NAMED_COLORS[name];
+    if (/^#[0-9a-f]{6}$/i.test(color)) return color.toUpperCase();
+    if (name === 'reset') return null;
+    return undefined;
+}
+
+// Component style fields override the inherited style; unknown colours inherit
+function applyStyle(inherited, component) {
+    const style = { ...inherited };
+
+    const color = parseColor(component.color);
+    if (color !== undefined) style.color = color;
+
+    for (const flag of STYLE_FLAGS) {
+        if (typeof component[flag] === 'boolean') style[flag] = component[flag];
+    }
+    return style;
+}
+
+// Splits "§6Gold §lbold§r plain" into styled segments. §r resets to the
+// style the text started with.
+function parseLegacyText(text, baseStyle = PLAIN_STYLE) {
+    const segments = [];
+    let style = { ...baseStyle };
+    let buffer = '';
+
+    const flush = () => {
+        if (buffer) segments.push({ text: buffer, ...style });
+        buffer = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] !== '§') {
+            buffer += text[i];
+            continue;
+        }
+
+        const code = (text[i + 1] || '').toLowerCase();
+        i++;
+
+        // §x§R§R§G§G§B§B (BungeeCord hex)
+        if (code === 'x') {
+            const digits = text.substring(i + 1, i + 13);
+            if (/^(§[0-9a-f]){6}$/i.test(digits)) {
+                flush();
+                style = { ...baseStyle, color: '#' + digits.replace(/§/g, '').toUpperCase() };
+                i += 12;
+            }
+            continue;
+        }
+
+        const colorIndex = '0123456789abcdef'.indexOf(code);
+        if (code && colorIndex !== -1) {
+            // A colour code also drops formatting added by earlier codes
+            flush();
+            style = { ...baseStyle, color: LEGACY_COLORS[colorIndex] };
+        } else if (LEGACY_FORMATS[code]) {
+            flush();
+            style = { ...style, [LEGACY_FORMATS[code]]: true };
+        } else if (code === 'r') {
+            flush();
+            style = { ...baseStyle };
+        }
+        // Unknown codes are dropped along with the §
+    }
+
+    flush();
+    return segments;
+}
+
+// "%s", "%1$s" and "%%" like the client's translation formatter
+function formatTranslation(format, args, style, depth, segments) {
+    const pattern = /%(?:(\d+)\$)?s|%%/g;
+    let next = 0;
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(format)) !== null) {
+        segments.push(...parseLegacyText(format.substring(last, match.index), style));
+        if (match[0] === '%%') {
+            segments.push({ text: '%', ...style });
+        } else {
+            const index = match[1] ? Number(match[1]) - 1 : next++;
+            if (args[index] !== undefined) walk(args[index], style, depth + 1, segments);
+        }
+        last = pattern.lastIndex;
+    }
+    segments.push(...parseLegacyText(format.substring(last), style));
+}
+
+function walk(component, style, depth, segments) {
+    if (depth > MAX_DEPTH || component === null || component === undefined) return;
+
+    if (typeof component === 'string' || typeof component === 'number' || typeof component === 'boolean') {
+        segments.push(...parseLegacyText(String(component), style));
+        return;
+    }
+
+    // An array is its first component with the rest as siblings inheriting from it
+    if (Array.isArray(component)) {
+        if (component.length === 0) return;
+        const [first, ...rest] = component;
+        const parent = first && typeof first === 'object' && !Array.isArray(first)
+            ? { ...first, extra: [...(Array.isArray(first.extra) ? first.extra : []), ...rest] }
+            : { text: '', extra: component };
+        walk(parent, style, depth + 1, segments);
+        return;
+    }
+
+    if (typeof component !== 'object') return;
+
+    const own = applyStyle(style, component);
+
+    if (component.text !== undefined) {
+        segments.push(...parseLegacyText(String(component.text), own));
+    } else if (typeof component.translate === 'string') {
+        const format = TRANSLATIONS[component.translate] ??
+            (typeof component.fallback === 'string' ? component.fallback : component.translate);
+        formatTranslation(format, Array.isArray(component.with) ? component.with : [], own, depth, segments);
+    } else if (typeof component.keybind === 'string') {
+        segments.push({ text: component.keybind, ...own });
+    } else if (component.score && component.score.value !== undefined) {
+        segments.push({ text: String(component.score.value), ...own });
+    } else if (typeof component.selector === 'string') {
+        segments.push({ text: component.selector, ...own });
+    }
+
+    if (Array.isArray(component.extra)) {
+        for (const child of component.extra) {
+            walk(child, own, depth + 1, segments);
+        }
+    }
+}
+
+// Flat list of { text, color, bold, italic, underlined, strikethrough, obfuscated }
+function flattenComponent(component) {
+    const segments = [];
+    walk(component, PLAIN_STYLE, 0, segments);
+    return segments.filter(segment => segment.text.length > 0);
+}
+
+function renderPlain(component) {
+    return flattenComponent(component).map(segment => segment.text).join('');
+}
+
+// Options: singleLine (newlines become spaces), maxLength (visible characters)
+function renderAnsi(component, { singleLine = false, maxLength = Infinity } = {}) {
+    let remaining = maxLength;
+    let output = '';
+
+    for (const segment of flattenComponent(component)) {
+        if (remaining <= 0) break;
+
+        let text = singleLine ? segment.text.replace(/\n/g, ' ') : segment.text;
+        text = text.substring(0, remaining);
+        remaining -= text.length;
+
+        // Obfuscated text cycles random glyphs in the client
+        if (segment.obfuscated) text = text.replace(/\S/g, '▒');
+
+        let style = chalk;
+        if (segment.color) style = style.hex(segment.color);
+        if (segment.bold) style = style.bold;
+        if (segment.italic) style = style.italic;
+        if (segment.underlined) style = style.underline;
+        if (segment.strikethrough) style = style.strikethrough;
+        output += style(text);
+    }
+
+    return output;
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function sameStyle(a, b) {
+    return a.color === b.color && STYLE_FLAGS.every(flag => a[flag] === b[flag]);
+}
+
+// Adjacent segments with the same style share one span
+function renderHtml(component) {
+    const merged = [];
+    for (const segment of flattenComponent(component)) {
+        const last = merged[merged.length - 1];
+        if (last && sameStyle(last, segment)) {
+            last.text += segment.text;
+        } else {
+            merged.push({ ...segment });
+        }
+    }
+
+    return merged.map(segment => {
+        const css = [];
+        if (segment.color) css.push(`color:${segment.color}`);
+        if (segment.bold) css.push('font-weight:bold');
+        if (segment.italic) css.push('font-style:italic');
+        const decorations = [segment.underlined && 'underline', segment.strikethrough && 'line-through'].filter(Boolean);
+        if (decorations.length > 0) css.push(`text-decoration:${decorations.join(' ')}`);
+
+        const text = escapeHtml(segment.text).replace(/\n/g, '<br>');
+        const className = segment.obfuscated ? ' class="mc-obfuscated"' : '';
+        return css.length > 0 || className
+            ? `<span${className}${css.length > 0 ? ` style="${css.join(';')}"` : ''}>${text}</span>`
+            : text;
+    }).join('');
+}
+
+module.exports = {
+    NAMED_COLORS,
+    parseLegacyText,
+    flattenComponent,
+    renderPlain,
+    renderAnsi,
+    renderHtml
+};
@@ -0,0 +1,118 @@
+/**
+ * 🧮 CIDR Set
+ * Merged address intervals for fast membership tests and range arithmetic
+ *
+ * ✨ Provides:
+ * - CIDR / single-IP entries for IPv4 and IPv6
+ * - Binary-search membership tests
+ * - Set subtraction (ranges minus exclusions)
+ * - Offset <-> address mapping across all intervals
+ */
+
+const { ipVersion, ipToBigInt, bigIntToIP, parseCIDR } = require('./ip_utils');
+
+class CIDRSet {
+    constructor(entries = []) {
+        // Sorted, non-overlapping [start, end] BigInt pairs per family
+        this.ranges = { 4: [], 6: [] };
+        entries.forEach(entry => this.add(entry));
+    }
+
+    add(entry) {
+        const { version, network, size } = parseCIDR(entry);
+        this.addInterval(version, network, network + size - 1n);
+        return this;
+    }
+
+    addInterval(version, start, end) {
+        const merged = [];
+        let current = [start, end];
+
+        for (const range of this.ranges[version]) {
+            if (range[1] + 1n < current[0] || current[1] + 1n < range[0]) {
+                merged.push(range);
+            } else {
+                current = [range[0] < current[0] ? range[0] : current[0], range[1] > current[1] ? range[1] : current[1]];
+            }
+        }
+
+        merged.push(current);
+        this.ranges[version] = merged.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    }
+
+    contains(ip) {
+        const version = ipVersion(ip);
+        if (!version) return false;
+
+        const value = ipToBigInt(ip);
+        const ranges = this.ranges[version];
+        let low = 0;
+        let high = ranges.length - 1;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (value < ranges[mid][0]) {
+                high = mid - 1;
+            } else if (value > ranges[mid][1]) {
+                low = mid + 1;
+            } else {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // New set with every address of `other` removed
+    subtract(other) {
+        const result = new CIDRSet();
+
+        for (const version of [4, 6]) {
+            const remaining = [];
+            for (const [start, end] of this.ranges[version]) {
+                let cursor = start;
+                for (const [exStart, exEnd] of other.ranges[version]) {
+                    if (exEnd < cursor || exStart > end) continue;
+                    if (exStart > cursor) remaining.push([cursor, exStart - 1n]);
+                    cursor = exEnd + 1n;
+                    if (cursor > end) break;
+                }
+                if (cursor <= end) remaining.push([cursor, end]);
+            }
+            result.ranges[version] = remaining;
+        }
+
+        return result;
+    }
+
+    // Flat list of intervals (IPv4 first) for offset-based walks
+    intervals() {
+        return [
+            ...this.ranges[4].map(([start, end]) => ({ version: 4, start, end })),
+            ...this.ranges[6].map(([start, end]) => ({ version: 6, start, end }))
+        ];
+    }
+
+    size() {
+        return this.intervals().reduce((total, { start, end }) => total + (end - start + 1n), 0n);
+    }
+
+    isEmpty() {
+        return this.ranges[4].length === 0 && this.ranges[6].length === 0;
+    }
+
+    // Map an offset in [0, size) to the address at that position
+    addressAt(offset, intervals = this.intervals()) {
+        let remaining = offset;
+        for (const { version, start, end } of intervals) {
+            const length = end - start + 1n;
+            if (remaining < length) {
+                return bigIntToIP(start + remaining, version);
+            }
+            remaining -= length;
+        }
+        return null;
+    }
+}
+
+module.exports = CIDRSet;
@@ -0,0 +1,217 @@
+/**
+ * 🖼️ Favicon Store
+ * Server icons stored by content hash, grouped by perceptual similarity
+ *
+ * ✨ Provides:
+ * - Decoding of status `favicon` data URIs
+ * - Content-addressed PNG files: cache/favicons/<ab>/<sha256>.png
+ * - Perceptual hash per icon (see image_hash)
+ * - Server → icon index with an atomic JSON index file
+ * - Groups of servers sharing an identical or near-identical icon
+ *
+ * Storing icons is safe from any process (files are written once, by
+ * rename); only the process that owns the index should record servers.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { decodePNG, perceptualHash, hammingDistance } = require('./image_hash');
+
+const DATA_URI_PREFIX = /^data:image\/png;base64,/;
+
+class FaviconStore {
+    constructor({ dir }) {
+        this.dir = dir;
+        this.indexFile = path.join(dir, 'index.json');
+        this.icons = new Map();
+        this.servers = new Map();
+        // sha256 → promise of its perceptual hash, so concurrent pings of
+        // servers sharing an icon decode and write it once
+        this.written = new Map();
+        this.loaded = false;
+        this.dirty = false;
+    }
+
+    async load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        try {
+            const saved = JSON.parse(await fs.readFile(this.indexFile, 'utf8'));
+            for (const icon of saved.icons || []) {
+                this.icons.set(icon.sha256, icon);
+                this.written.set(icon.sha256, Promise.resolve(icon.phash));
+            }
+            for (const server of saved.servers || []) {
+                this.servers.set(server.key, server);
+            }
+        } catch (error) {
+            // No icons stored yet
+        }
+    }
+
+    fileFor(sha256) {
+        return path.join(this.dir, sha256.substring(0, 2), `${sha256}.png`);
+    }
+
+    // Returns { sha256, phash } for a status favicon, or null when there is
+    // none; phash is null when the PNG cannot be decoded
+    async store(dataURI) {
+        if (typeof dataURI !== 'string' || !DATA_URI_PREFIX.test(dataURI)) return null;
+
+        // Pre-1.13 servers wrap the base64 at 76 columns
+        const png = Buffer.from(dataURI.replace(DATA_URI_PREFIX, '').replace(/\s/g, ''), 'base64');
+        if (png.length === 0) return null;
+
+        const sha256 = crypto.createHash('sha256').update(png).digest('hex');
+        if (!this.written.has(sha256)) {
+            const writing = this.writeIcon(sha256, png);
+            this.written.set(sha256, writing);
+            writing.catch(() => this.written.delete(sha256));
+        }
+
+        return { sha256, phash: await this.written.get(sha256) };
+    }
+
+    async writeIcon(sha256, png) {
+        let phash = null;
+        try {
+            phash = perceptualHash(decodePNG(png));
+        } catch (error) {
+            // Keep the bytes; the icon just cannot be grouped
+        }
+
+        const file = this.fileFor(sha256);
+        try {
+            await fs.access(file);
+        } catch (error) {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            const tempFile = `${file}.${process.pid}.tmp`;
+            await fs.writeFile(tempFile, png);
+            await fs.rename(tempFile, file);
+        }
+
+        return phash;
+    }
+
+    record(serverKey, serverInfo, at = serverInfo.timestamp || new Date().toISOString()) {
+        const favicon = serverInfo.favicon;
+        if (!favicon) return;
+
+        if (!this.icons.has(favicon.sha256)) {
+            this.icons.set(favicon.sha256, { sha256: favicon.sha256, phash: favicon.phash, firstSeen: at });
+            this.dirty = true;
+        }
+
+        const previous = this.servers.get(serverKey);
+        if (previous?.sha256 === favicon.sha256) return;
+
+        this.servers.set(serverKey, {
+            key: serverKey,
+            ip: serverInfo.ip,
+            hostname: serverInfo.hostname || null,
+            sha256: favicon.sha256
+        });
+        this.dirty = true;
+    }
+
+    removeServers(predicate) {
+        let removed = 0;
+        for (const [key, server] of this.servers.entries()) {
+            if (predicate(server)) {
+                this.servers.delete(key);
+                removed++;
+            }
+        }
+        if (removed > 0) this.dirty = true;
+        return removed;
+    }
+
+    // Icons within maxDistance bits of each other end up in one group
+    // (transitively); maxDistance 0 groups identical-looking icons only
+    groups({ maxDistance = 4, minServers = 2, limit = 20 } = {}) {
+        const serversByIcon = new Map();
+        for (const server of this.servers.values()) {
+            if (!serversByIcon.has(server.sha256)) serversByIcon.set(server.sha256, []);
+            serversByIcon.get(server.sha256).push(server.key);
+        }
+
+        // Union-find over perceptual hashes; undecodable icons group by bytes only
+        const parent = new Map();
+        const find = key => {
+            while (parent.get(key) !== key) {
+                parent.set(key, parent.get(parent.get(key)));
+                key = parent.get(key);
+            }
+            return key;
+        };
+        const hashOf = sha256 => this.icons.get(sha256)?.phash || `sha:${sha256}`;
+
+        const hashes = [...new Set(Array.from(serversByIcon.keys(), hashOf))];
+        hashes.forEach(hash => parent.set(hash, hash));
+
+        const comparable = hashes.filter(hash => !hash.startsWith('sha:'));
+        if (maxDistance > 0) {
+            for (let i = 0; i < comparable.length; i++) {
+                for (let j = i + 1; j < comparable.length; j++) {
+                    if (hammingDistance(comparable[i], comparable[j]) <= maxDistance) {
+                        parent.set(find(comparable[i]), find(comparable[j]));
+                    }
+                }
+            }
+        }
+
+        const groups = new Map();
+        for (const [sha256, servers] of serversByIcon.entries()) {
+            const root = find(hashOf(sha256));
+            if (!groups.has(root)) groups.set(root, { icons: [], servers: [] });
+            const group = groups.get(root);
+            group.icons.push({ sha256, phash: this.icons.get(sha256)?.phash || null, servers: servers.length });
+            group.servers.push(...servers);
+        }
+
+        return Array.from(groups.values())
+            .filter(group => group.servers.length >= minServers)
+            .map(group => {
+                group.icons.sort((a, b) => b.servers - a.servers);
+                return {
+                    phash: group.icons[0].phash,
+                    sha256: group.icons[0].sha256,
+                    file: this.fileFor(group.icons[0].sha256),
+                    size: group.servers.length,
+                    icons: group.icons,
+                    servers: group.servers.sort()
+                };
+            })
+            .sort((a, b) => b.size - a.size)
+            .slice(0, limit);
+    }
+
+    stats() {
+        return { icons: this.icons.size, servers: this.servers.size };
+    }
+
+    // Temp file + rename, like session checkpoints
+    async save() {
+        if (!this.dirty) return;
+        this.dirty = false;
+
+        await fs.mkdir(this.dir, { recursive: true });
+        const tempFile = `${this.indexFile}.${process.pid}.tmp`;
+        const data = {
+            updatedAt: new Date().toISOString(),
+            icons: Array.from(this.icons.values()),
+            servers: Array.from(this.servers.values())
+        };
+        try {
+            await fs.writeFile(tempFile, JSON.stringify(data));
+            await fs.rename(tempFile, this.indexFile);
+        } catch (error) {
+            this.dirty = true;
+            throw error;
+        }
+    }
+}
+
+module.exports = FaviconStore;
@@ -0,0 +1,146 @@
+/**
+ * 🌍 GeoIP
+ * Offline geolocation and ASN lookups from local MMDB files
+ *
+ * ✨ Provides:
+ * - City databases (GeoLite2-City, DB-IP City Lite): country, city, lat/lon
+ * - ASN databases (GeoLite2-ASN, DB-IP ASN Lite): AS number and organization
+ * - Synchronous ASN resolver for the blocklist and rate limiter
+ * - Country (ISO code or English name) and ASN filter matching
+ *
+ * Missing database files are skipped quietly; unreadable ones emit 'error'.
+ */
+
+const EventEmitter = require('events');
+const os = require('os');
+const MMDBReader = require('./mmdb_reader');
+
+const EMPTY_LOCATION = Object.freeze({
+    country: 'Unknown',
+    countryCode: null,
+    city: null,
+    latitude: null,
+    longitude: null,
+    asn: null,
+    org: null
+});
+
+// "AS24940", "as24940" or 24940 → 24940
+function parseAsn(value) {
+    const asn = Number(String(value).trim().replace(/^AS/i, ''));
+    return Number.isInteger(asn) && asn >= 0 ? asn : null;
+}
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+// "DE" → "Germany", for databases that only store the ISO code
+function countryName(code) {
+    if (!code) return null;
+    try {
+        return regionNames.of(code);
+    } catch (error) {
+        return code;
+    }
+}
+
+class GeoIP extends EventEmitter {
+    constructor({ cityDatabase = null, asnDatabase = null } = {}) {
+        super();
+        const expand = file => (file ? file.replace(/^~(?=$|[\\/])/, os.homedir()) : null);
+        this.files = { city: expand(cityDatabase), asn: expand(asnDatabase) };
+        this.city = null;
+        this.asn = null;
+    }
+
+    async load() {
+        for (const kind of ['city', 'asn']) {
+            const file = this.files[kind];
+            if (!file) continue;
+
+            try {
+                this[kind] = await MMDBReader.open(file);
+            } catch (error) {
+                if (error.code !== 'ENOENT') this.emit('error', { file, error });
+            }
+        }
+        return this;
+    }
+
+    get available() {
+        return this.city !== null || this.asn !== null;
+    }
+
+    // A corrupt record should cost one server its location, not the scan
+    safeLookup(reader, ip) {
+        try {
+            return reader ? reader.lookup(ip) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    lookup(ip) {
+        const location = { ...EMPTY_LOCATION };
+
+        const place = this.safeLookup(this.city, ip);
+        if (place) {
+            // Anycast and satellite ranges only have a registered country;
+            // flat country-only databases just carry `country_code`
+            const country = place.country || place.registered_country;
+            location.countryCode = country?.iso_code || place.country_code || null;
+            location.country = country?.names?.en || countryName(location.countryCode) || 'Unknown';
+            location.city = place.city?.names?.en || (typeof place.city === 'string' ? place.city : null);
+            location.latitude = place.location?.latitude ?? null;
+            location.longitude = place.location?.longitude ?? null;
+        }
+
+        const network = this.safeLookup(this.asn, ip);
+        if (network) {
+            location.asn = network.autonomous_system_number ?? null;
+            location.org = network.autonomous_system_organization || null;
+        }
+
+        return location;
+    }
+
+    asnFor(ip) {
+        return this.safeLookup(this.asn, ip)?.autonomous_system_number ?? null;
+    }
+}
+
+// Config filters are one entry or a list: "US" or ["DE", "Netherlands"]
+function toList(filter) {
+    return Array.isArray(filter) ? filter : [filter];
+}
+
+// Entries are ISO codes ("DE") or English names ("Germany"), any case
+function createCountryFilter(filter) {
+    return new Set(toList(filter).map(entry => String(entry).trim().toLowerCase()));
+}
+
+// Entries are "AS24940" or 24940
+function createAsnFilter(filter) {
+    return new Set(toList(filter).map(entry => {
+        const asn = parseAsn(entry);
+        if (asn === null) throw new Error(`Invalid asnFilter entry "${entry}": expected "AS24940" or 24940`);
+        return asn;
+    }));
+}
+
+// Take the Sets built by createCountryFilter / createAsnFilter
+function matchesCountryFilter(location, countries) {
+    return [location.countryCode, location.country]
+        .filter(Boolean)
+        .some(value => countries.has(value.toLowerCase()));
+}
+
+function matchesAsnFilter(location, asns) {
+    return location.asn !== null && asns.has(location.asn);
+}
+
+module.exports = GeoIP;
+module.exports.parseAsn = parseAsn;
+module.exports.createCountryFilter = createCountryFilter;
+module.exports.createAsnFilter = createAsnFilter;
+module.exports.matchesCountryFilter = matchesCountryFilter;
+module.exports.matchesAsnFilter = matchesAsnFilter;
@@ -0,0 +1,156 @@
+/**
+ * 🏢 Hosting Classifier
+ * Hosting provider and network type for an address, from mapping files
+ *
+ * ✨ Provides:
+ * - Providers matched by CIDR (most specific range wins), ASN, then AS organization
+ * - Network types: 'minecraft-host', 'cloud', 'residential' or 'unknown'
+ * - Organization keywords for networks no provider entry lists
+ * - Provider CIDRs by network type, for targeted IP generation
+ *
+ * Later files extend earlier ones; a provider with the same name replaces
+ * the earlier entry. See hosting_providers.json for the format.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const { ipVersion, ipToBigInt, parseCIDR } = require('./ip_utils');
+const { parseAsn } = require('./geo_ip');
+
+const NETWORK_TYPES = ['minecraft-host', 'cloud', 'residential'];
+
+class ProviderFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProviderFileError';
+    }
+}
+
+function parseProvider(entry, file) {
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+        throw new ProviderFileError(`${file}: provider without a name`);
+    }
+    if (!NETWORK_TYPES.includes(entry.type)) {
+        throw new ProviderFileError(`${file}: ${entry.name} has unknown type "${entry.type}"`);
+    }
+
+    return {
+        name: entry.name.trim(),
+        type: entry.type,
+        asns: (entry.asns || []).map(parseAsn).filter(asn => asn !== null),
+        orgs: (entry.orgs || []).map(org => String(org).toLowerCase()),
+        ranges: (entry.ranges || []).map(range => parseCIDR(range))
+    };
+}
+
+// Keywords match at the start of a word: "host" matches "Hosting", not "Ghost"
+function keywordPattern(keywords) {
+    const escaped = keywords.map(keyword => String(keyword).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`\\b(?:${escaped.join('|')})`, 'i');
+}
+
+class HostingClassifier {
+    constructor(files = []) {
+        // "~/..." paths from config files
+        this.files = files.map(file => file.replace(/^~(?=$|[\\/])/, os.homedir()));
+        this.providers = [];
+        this.ranges = { 4: [], 6: [] };
+        this.asns = new Map();
+        this.networkTypes = [];
+    }
+
+    // Missing files are skipped; malformed ones throw ProviderFileError
+    load() {
+        const providers = new Map();
+        const keywords = new Map();
+
+        for (const file of this.files) {
+            let data;
+            try {
+                data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw new ProviderFileError(`${file}: ${error.message}`);
+            }
+
+            for (const entry of data.providers || []) {
+                const provider = parseProvider(entry, file);
+                providers.set(provider.name, provider);
+            }
+
+            for (const [type, list] of Object.entries(data.networkTypes || {})) {
+                if (!NETWORK_TYPES.includes(type)) {
+                    throw new ProviderFileError(`${file}: unknown network type "${type}"`);
+                }
+                keywords.set(type, [...(keywords.get(type) || []), ...list]);
+            }
+        }
+
+        this.providers = Array.from(providers.values());
+
+        // Most specific first, so a reseller's /24 wins over its host's /16
+        this.ranges = { 4: [], 6: [] };
+        for (const provider of this.providers) {
+            for (const { version, prefix, network, size } of provider.ranges) {
+                this.ranges[version].push({ start: network, end: network + size - 1n, prefix, provider });
+            }
+        }
+        this.ranges[4].sort((a, b) => b.prefix - a.prefix);
+        this.ranges[6].sort((a, b) => b.prefix - a.prefix);
+
+        this.asns = new Map();
+        for (const provider of this.providers) {
+            provider.asns.forEach(asn => this.asns.set(asn, provider));
+        }
+
+        this.networkTypes = Array.from(keywords.entries())
+            .filter(([, list]) => list.length > 0)
+            .map(([type, list]) => ({ type, pattern: keywordPattern(list) }));
+
+        return this;
+    }
+
+    providerFor(ip, asn = null, org = null) {
+        const version = ipVersion(ip);
+        if (version) {
+            const value = ipToBigInt(ip);
+            const range = this.ranges[version].find(({ start, end }) => value >= start && value <= end);
+            if (range) return range.provider;
+        }
+
+        if (asn !== null && this.asns.has(Number(asn))) {
+            return this.asns.get(Number(asn));
+        }
+
+        if (org) {
+            const name = org.toLowerCase();
+            return this.providers.find(provider => provider.orgs.some(entry => name.includes(entry))) || null;
+        }
+
+        return null;
+    }
+
+    // { hostingProvider, networkType } from the address and its ASN data
+    classify({ ip, asn = null, org = null }) {
+        const provider = this.providerFor(ip, asn, org);
+        if (provider) {
+            return { hostingProvider: provider.name, networkType: provider.type };
+        }
+
+        const match = org ? this.networkTypes.find(({ pattern }) => pattern.test(org)) : null;
+        return { hostingProvider: null, networkType: match ? match.type : 'unknown' };
+    }
+
+    // CIDRs of the providers with one of the given network types
+    rangesFor(types = ['minecraft-host', 'cloud'], { version = null } = {}) {
+        return this.providers
+            .filter(provider => types.includes(provider.type))
+            .flatMap(provider => provider.ranges)
+            .filter(range => version === null || range.version === version)
+            .map(range => range.cidr);
+    }
+}
+
+module.exports = HostingClassifier;
+module.exports.ProviderFileError = ProviderFileError;
+module.exports.NETWORK_TYPES = NETWORK_TYPES;
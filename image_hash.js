@@ -0,0 +1,253 @@
+/**
+ * 🖼️ Image Hash
+ * PNG decoding and perceptual hashing for server icons, no native modules
+ *
+ * ✨ Provides:
+ * - PNG decoder: all colour types, bit depths 1-16, palette and tRNS
+ *   transparency (non-interlaced images only)
+ * - 64-bit DCT perceptual hash as 16 hex characters
+ * - Hamming distance between two hashes
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Server icons are 64x64; anything far bigger is not worth inflating
+const MAX_PIXELS = 1024 * 1024;
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function readChunks(buffer) {
+    if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('Not a PNG image');
+    }
+
+    const chunks = [];
+    let offset = 8;
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        if (data.length !== length) {
+            throw new Error(`Truncated ${type} chunk`);
+        }
+        chunks.push({ type, data });
+        offset += 12 + length;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+// Undo the per-scanline filters in place; returns the raw scanlines
+function unfilter(data, height, stride, bpp) {
+    const out = Buffer.alloc(height * stride);
+
+    for (let y = 0; y < height; y++) {
+        const filter = data[y * (stride + 1)];
+        const line = data.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const row = y * stride;
+        const previous = row - stride;
+
+        for (let x = 0; x < stride; x++) {
+            const left = x >= bpp ? out[row + x - bpp] : 0;
+            const up = y > 0 ? out[previous + x] : 0;
+            const upLeft = y > 0 && x >= bpp ? out[previous + x - bpp] : 0;
+            let value;
+            switch (filter) {
+                case 0: value = line[x]; break;
+                case 1: value = line[x] + left; break;
+                case 2: value = line[x] + up; break;
+                case 3: value = line[x] + ((left + up) >> 1); break;
+                case 4: value = line[x] + paeth(left, up, upLeft); break;
+                default: throw new Error(`Unknown PNG filter ${filter}`);
+            }
+            out[row + x] = value & 0xff;
+        }
+    }
+
+    return out;
+}
+
+// Decodes to { width, height, pixels } with pixels as RGBA bytes
+function decodePNG(buffer) {
+    const chunks = readChunks(buffer);
+    const header = chunks.find(chunk => chunk.type === 'IHDR');
+    if (!header) throw new Error('PNG has no IHDR chunk');
+
+    const width = header.data.readUInt32BE(0);
+    const height = header.data.readUInt32BE(4);
+    const bitDepth = header.data[8];
+    const colorType = header.data[9];
+    const interlace = header.data[12];
+
+    const channels = CHANNELS[colorType];
+    if (!channels) throw new Error(`Unknown PNG colour type ${colorType}`);
+    if (interlace !== 0) throw new Error('Interlaced PNGs are not supported');
+    if (width === 0 || height === 0 || width * height > MAX_PIXELS) {
+        throw new Error(`Unsupported PNG size ${width}x${height}`);
+    }
+
+    const bitsPerPixel = channels * bitDepth;
+    const bpp = Math.max(1, bitsPerPixel >> 3);
+    const stride = Math.ceil((width * bitsPerPixel) / 8);
+
+    const compressed = Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data));
+    const data = zlib.inflateSync(compressed, { maxOutputLength: height * (stride + 1) });
+    if (data.length < height * (stride + 1)) throw new Error('Truncated PNG image data');
+
+    const raw = unfilter(data, height, stride, bpp);
+    const palette = chunks.find(chunk => chunk.type === 'PLTE')?.data || null;
+    const transparency = chunks.find(chunk => chunk.type === 'tRNS')?.data || null;
+    const maxValue = (1 << bitDepth) - 1;
+
+    // Sample n of a row, at the image's bit depth
+    const sample = (row, n) => {
+        if (bitDepth === 8) return raw[row + n];
+        if (bitDepth === 16) return raw.readUInt16BE(row + n * 2);
+        const bit = n * bitDepth;
+        return (raw[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxValue;
+    };
+    const to8 = value => (bitDepth === 16 ? value >> 8 : bitDepth === 8 ? value : Math.round((value * 255) / maxValue));
+
+    const pixels = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const row = y * stride;
+        for (let x = 0; x < width; x++) {
+            const out = (y * width + x) * 4;
+            const first = x * channels;
+            let r, g, b, a = 255;
+
+            if (colorType === 3) {
+                const index = sample(row, first);
+                if (!palette || index * 3 + 2 >= palette.length) throw new Error('PNG palette index out of range');
+                r = palette[index * 3];
+                g = palette[index * 3 + 1];
+                b = palette[index * 3 + 2];
+                if (transparency && index < transparency.length) a = transparency[index];
+            } else if (colorType === 0 || colorType === 4) {
+                const value = sample(row, first);
+                r = g = b = to8(value);
+                if (colorType === 4) a = to8(sample(row, first + 1));
+                else if (transparency && value === transparency.readUInt16BE(0)) a = 0;
+            } else {
+                const red = sample(row, first);
+                const green = sample(row, first + 1);
+                const blue = sample(row, first + 2);
+                r = to8(red);
+                g = to8(green);
+                b = to8(blue);
+                if (colorType === 6) {
+                    a = to8(sample(row, first + 3));
+                } else if (transparency && red === transparency.readUInt16BE(0) &&
+                    green === transparency.readUInt16BE(2) && blue === transparency.readUInt16BE(4)) {
+                    a = 0;
+                }
+            }
+
+            pixels[out] = r;
+            pixels[out + 1] = g;
+            pixels[out + 2] = b;
+            pixels[out + 3] = a;
+        }
+    }
+
+    return { width, height, pixels };
+}
+
+const HASH_SIZE = 32;
+const HASH_FREQUENCIES = 8;
+
+// cos((2x + 1) * u * π / 2N) for the low frequencies only
+const DCT_TABLE = Array.from({ length: HASH_FREQUENCIES }, (_, u) =>
+    Array.from({ length: HASH_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * HASH_SIZE))));
+
+// Luminance over a white background, area-averaged to 32x32
+function grayscale({ width, height, pixels }) {
+    const gray = new Float64Array(HASH_SIZE * HASH_SIZE);
+
+    for (let ty = 0; ty < HASH_SIZE; ty++) {
+        const y0 = Math.floor((ty * height) / HASH_SIZE);
+        const y1 = Math.max(y0 + 1, Math.floor(((ty + 1) * height) / HASH_SIZE));
+        for (let tx = 0; tx < HASH_SIZE; tx++) {
+            const x0 = Math.floor((tx * width) / HASH_SIZE);
+            const x1 = Math.max(x0 + 1, Math.floor(((tx + 1) * width) / HASH_SIZE));
+
+            let sum = 0;
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const i = (y * width + x) * 4;
+                    const alpha = pixels[i + 3] / 255;
+                    const luma = 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+                    sum += luma * alpha + 255 * (1 - alpha);
+                }
+            }
+            gray[ty * HASH_SIZE + tx] = sum / ((y1 - y0) * (x1 - x0));
+        }
+    }
+
+    return gray;
+}
+
+// pHash: low 8x8 DCT coefficients, each bit set when above the median
+// of the 63 AC terms (the DC term is left out, so the median is one value)
+function perceptualHash(image) {
+    const gray = grayscale(image);
+
+    const rows = new Float64Array(HASH_SIZE * HASH_FREQUENCIES);
+    for (let y = 0; y < HASH_SIZE; y++) {
+        for (let u = 0; u < HASH_FREQUENCIES; u++) {
+            let sum = 0;
+            for (let x = 0; x < HASH_SIZE; x++) sum += gray[y * HASH_SIZE + x] * DCT_TABLE[u][x];
+            rows[y * HASH_FREQUENCIES + u] = sum;
+        }
+    }
+
+    const coefficients = [];
+    for (let v = 0; v < HASH_FREQUENCIES; v++) {
+        for (let u = 0; u < HASH_FREQUENCIES; u++) {
+            let sum = 0;
+            for (let y = 0; y < HASH_SIZE; y++) sum += rows[y * HASH_FREQUENCIES + u] * DCT_TABLE[v][y];
+            coefficients.push(sum);
+        }
+    }
+
+    const sorted = coefficients.slice(1).sort((a, b) => a - b);
+    const median = sorted[31];
+
+    let hex = '';
+    for (let i = 0; i < 64; i += 4) {
+        let nibble = 0;
+        for (let bit = 0; bit < 4; bit++) {
+            nibble = (nibble << 1) | (coefficients[i + bit] > median ? 1 : 0);
+        }
+        hex += nibble.toString(16);
+    }
+    return hex;
+}
+
+function popcount32(value) {
+    value -= (value >>> 1) & 0x55555555;
+    value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+    return (((value + (value >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+function hammingDistance(a, b) {
+    return popcount32((parseInt(a.substring(0, 8), 16) ^ parseInt(b.substring(0, 8), 16)) >>> 0) +
+        popcount32((parseInt(a.substring(8), 16) ^ parseInt(b.substring(8), 16)) >>> 0);
+}
+
+module.exports = {
+    decodePNG,
+    perceptualHash,
+    hammingDistance
+};
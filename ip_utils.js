@@ -0,0 +1,163 @@
+/**
+ * 🔢 IP Address Utilities
+ * IPv4 and IPv6 parsing, formatting and CIDR math on BigInt values
+ *
+ * ✨ Provides:
+ * - Address <-> BigInt conversion for both families
+ * - RFC 5952 compressed IPv6 formatting
+ * - CIDR parsing, containment and prefix keys
+ * - Bracketed host:port formatting
+ */
+
+const net = require('net');
+
+const BITS = { 4: 32, 6: 128 };
+
+function ipVersion(ip) {
+    return net.isIP(ip);
+}
+
+// 🔢 IPv4
+function ipv4ToBigInt(ip) {
+    const parts = ip.split('.').map(Number);
+    return BigInt(((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0);
+}
+
+function bigIntToIPv4(value) {
+    const num = Number(value);
+    return [(num >>> 24) & 0xFF, (num >>> 16) & 0xFF, (num >>> 8) & 0xFF, num & 0xFF].join('.');
+}
+
+// 🔢 IPv6
+function ipv6ToBigInt(ip) {
+    let address = ip.split('%')[0];
+
+    // Embedded IPv4 tail (::ffff:192.0.2.1)
+    const lastColon = address.lastIndexOf(':');
+    const tail = address.substring(lastColon + 1);
+    if (tail.includes('.')) {
+        const v4 = Number(ipv4ToBigInt(tail));
+        address = `${address.substring(0, lastColon + 1)}${(v4 >>> 16).toString(16)}:${(v4 & 0xFFFF).toString(16)}`;
+    }
+
+    const [head, rest] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const restGroups = rest !== undefined && rest !== '' ? rest.split(':') : [];
+    const missing = 8 - headGroups.length - restGroups.length;
+    const groups = rest !== undefined
+        ? [...headGroups, ...Array(missing).fill('0'), ...restGroups]
+        : headGroups;
+
+    return groups.reduce((acc, group) => (acc << 16n) | BigInt(parseInt(group, 16)), 0n);
+}
+
+function bigIntToIPv6(value) {
+    const groups = [];
+    for (let i = 7; i >= 0; i--) {
+        groups.push(Number((value >> BigInt(i * 16)) & 0xFFFFn));
+    }
+
+    // Compress the longest run of two or more zero groups (RFC 5952)
+    let bestStart = -1;
+    let bestLength = 0;
+    for (let i = 0; i < 8;) {
+        if (groups[i] !== 0) {
+            i++;
+            continue;
+        }
+        let j = i;
+        while (j < 8 && groups[j] === 0) j++;
+        if (j - i > bestLength && j - i >= 2) {
+            bestStart = i;
+            bestLength = j - i;
+        }
+        i = j;
+    }
+
+    const hex = groups.map(group => group.toString(16));
+    if (bestStart === -1) {
+        return hex.join(':');
+    }
+
+    const head = hex.slice(0, bestStart).join(':');
+    const tail = hex.slice(bestStart + bestLength).join(':');
+    return `${head}::${tail}`;
+}
+
+// 🔁 Family-agnostic conversion
+function ipToBigInt(ip) {
+    const version = ipVersion(ip);
+    if (version === 4) return ipv4ToBigInt(ip);
+    if (version === 6) return ipv6ToBigInt(ip);
+    throw new Error(`Invalid IP address: ${ip}`);
+}
+
+function bigIntToIP(value, version) {
+    return version === 6 ? bigIntToIPv6(value) : bigIntToIPv4(value);
+}
+
+function normalizeIP(ip) {
+    return bigIntToIP(ipToBigInt(ip), ipVersion(ip));
+}
+
+// 🌐 CIDR
+function parseCIDR(cidr) {
+    const [address, prefixText] = String(cidr).trim().split('/');
+    const version = ipVersion(address);
+    if (!version) {
+        throw new Error(`Invalid CIDR: ${cidr}`);
+    }
+
+    const bits = BITS[version];
+    const prefix = prefixText === undefined ? bits : Number(prefixText);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > bits) {
+        throw new Error(`Invalid prefix length in CIDR: ${cidr}`);
+    }
+
+    const mask = prefixMask(prefix, bits);
+    const network = ipToBigInt(address) & mask;
+
+    return {
+        cidr: `${bigIntToIP(network, version)}/${prefix}`,
+        version,
+        prefix,
+        network,
+        size: 1n << BigInt(bits - prefix)
+    };
+}
+
+function prefixMask(prefix, bits) {
+    const all = (1n << BigInt(bits)) - 1n;
+    return (all >> BigInt(bits - prefix)) << BigInt(bits - prefix);
+}
+
+function cidrContains(range, ip) {
+    const parsed = typeof range === 'string' ? parseCIDR(range) : range;
+    if (ipVersion(ip) !== parsed.version) return false;
+
+    return (ipToBigInt(ip) & prefixMask(parsed.prefix, BITS[parsed.version])) === parsed.network;
+}
+
+// "203.0.113.0/24", "2001:db8:1:2::/64"
+function getPrefixKey(ip, prefixV4 = 24, prefixV6 = 64) {
+    const version = ipVersion(ip);
+    const prefix = version === 6 ? prefixV6 : prefixV4;
+    return parseCIDR(`${ip}/${prefix}`).cidr;
+}
+
+// "[2001:db8::1]:25565" / "203.0.113.5:25565"
+function formatHostPort(host, port) {
+    return ipVersion(host) === 6 ? `[${host}]:${port}` : `${host}:${port}`;
+}
+
+module.exports = {
+    ipVersion,
+    ipToBigInt,
+    bigIntToIP,
+    normalizeIP,
+    parseCIDR,
+    prefixMask,
+    cidrContains,
+    getPrefixKey,
+    formatHostPort
+};
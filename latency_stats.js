@@ -0,0 +1,64 @@
+/**
+ * ⏱️ Latency Statistics
+ * Rolling averages and percentiles over a fixed window of samples
+ */
+
+class RollingLatency {
+    constructor(windowSize = 1000) {
+        this.windowSize = windowSize;
+        this.samples = [];
+        this.cursor = 0;
+        this.count = 0;
+        this.total = 0;
+    }
+
+    add(value) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return;
+
+        // Ring buffer keeps memory bounded on long runs
+        if (this.samples.length < this.windowSize) {
+            this.samples.push(value);
+        } else {
+            this.samples[this.cursor] = value;
+            this.cursor = (this.cursor + 1) % this.windowSize;
+        }
+
+        this.count++;
+        this.total += value;
+    }
+
+    average() {
+        if (this.samples.length === 0) return 0;
+        return this.samples.reduce((sum, value) => sum + value, 0) / this.samples.length;
+    }
+
+    // Nearest-rank percentile over the current window
+    percentile(p, sorted = null) {
+        const values = sorted || [...this.samples].sort((a, b) => a - b);
+        if (values.length === 0) return 0;
+
+        const rank = Math.ceil((p / 100) * values.length);
+        return values[Math.min(values.length, Math.max(1, rank)) - 1];
+    }
+
+    summary() {
+        const sorted = [...this.samples].sort((a, b) => a - b);
+
+        return {
+            samples: this.count,
+            avg: Math.round(this.average()),
+            p50: this.percentile(50, sorted),
+            p95: this.percentile(95, sorted),
+            p99: this.percentile(99, sorted)
+        };
+    }
+
+    reset() {
+        this.samples = [];
+        this.cursor = 0;
+        this.count = 0;
+        this.total = 0;
+    }
+}
+
+module.exports = RollingLatency;
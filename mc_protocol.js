@@ -0,0 +1,318 @@
+/**
+ * 🧩 Minecraft Protocol Codec
+ * Server List Ping framing for the Java Edition status protocol
+ *
+ * ✨ Provides:
+ * - VarInt / VarLong / String encode & decode
+ * - Length-prefixed packet framing
+ * - Handshake, Status Request and Ping packet builders
+ * - Streaming packet reader that knows when a packet is complete
+ * - Legacy (pre-1.7) 0xFE ping and 0xFF kick parsing
+ */
+
+// 🔢 Protocol constants
+const PROTOCOL = {
+    // Status ping works with any protocol number, 767 is 1.21
+    DEFAULT_VERSION: 767,
+
+    // Packet IDs (handshaking/status states)
+    HANDSHAKE: 0x00,
+    STATUS_REQUEST: 0x00,
+    STATUS_RESPONSE: 0x00,
+    PING: 0x01,
+    PONG: 0x01,
+
+    // Handshake next states
+    STATE_STATUS: 1,
+    STATE_LOGIN: 2,
+
+    // Legacy (pre-1.7) server list ping
+    LEGACY_PING: 0xFE,
+    LEGACY_PING_PAYLOAD: 0x01,
+    LEGACY_KICK: 0xFF,
+
+    // Limits
+    MAX_STRING_LENGTH: 32767,
+    MAX_PACKET_LENGTH: 2097151
+};
+
+class ProtocolError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProtocolError';
+    }
+}
+
+// 🔢 VarInt (32-bit, two's complement)
+function encodeVarInt(value) {
+    const bytes = [];
+    let remaining = value >>> 0;
+
+    do {
+        let byte = remaining & 0x7F;
+        remaining >>>= 7;
+        if (remaining !== 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (remaining !== 0);
+
+    return Buffer.from(bytes);
+}
+
+function decodeVarInt(buffer, offset = 0) {
+    let value = 0;
+    let bytesRead = 0;
+    let currentByte;
+
+    do {
+        if (offset + bytesRead >= buffer.length) {
+            throw new ProtocolError('Buffer underflow while reading VarInt');
+        }
+        if (bytesRead >= 5) {
+            throw new ProtocolError('VarInt is too big');
+        }
+
+        currentByte = buffer[offset + bytesRead];
+        value |= (currentByte & 0x7F) << (7 * bytesRead);
+        bytesRead++;
+    } while ((currentByte & 0x80) !== 0);
+
+    return { value, bytesRead };
+}
+
+// 🔢 VarLong (64-bit, BigInt based)
+function encodeVarLong(value) {
+    const bytes = [];
+    let remaining = BigInt.asUintN(64, BigInt(value));
+
+    do {
+        let byte = Number(remaining & 0x7Fn);
+        remaining >>= 7n;
+        if (remaining !== 0n) byte |= 0x80;
+        bytes.push(byte);
+    } while (remaining !== 0n);
+
+    return Buffer.from(bytes);
+}
+
+function decodeVarLong(buffer, offset = 0) {
+    let value = 0n;
+    let bytesRead = 0;
+    let currentByte;
+
+    do {
+        if (offset + bytesRead >= buffer.length) {
+            throw new ProtocolError('Buffer underflow while reading VarLong');
+        }
+        if (bytesRead >= 10) {
+            throw new ProtocolError('VarLong is too big');
+        }
+
+        currentByte = buffer[offset + bytesRead];
+        value |= BigInt(currentByte & 0x7F) << BigInt(7 * bytesRead);
+        bytesRead++;
+    } while ((currentByte & 0x80) !== 0);
+
+    return { value: BigInt.asIntN(64, value), bytesRead };
+}
+
+// 🔤 String (VarInt byte length + UTF-8)
+function encodeString(value) {
+    const stringBuffer = Buffer.from(String(value), 'utf8');
+    return Buffer.concat([encodeVarInt(stringBuffer.length), stringBuffer]);
+}
+
+function decodeString(buffer, offset = 0) {
+    const { value: length, bytesRead: lengthBytes } = decodeVarInt(buffer, offset);
+
+    if (length < 0 || length > PROTOCOL.MAX_STRING_LENGTH * 4) {
+        throw new ProtocolError(`Invalid string length: ${length}`);
+    }
+
+    const start = offset + lengthBytes;
+    if (start + length > buffer.length) {
+        throw new ProtocolError('Buffer underflow while reading String');
+    }
+
+    return {
+        value: buffer.toString('utf8', start, start + length),
+        bytesRead: lengthBytes + length
+    };
+}
+
+// 📦 Packet framing: VarInt length, VarInt packet ID, payload
+function encodePacket(packetId, ...fields) {
+    const body = Buffer.concat([encodeVarInt(packetId), ...fields]);
+    return Buffer.concat([encodeVarInt(body.length), body]);
+}
+
+function createHandshakePacket(hostname, port, protocolVersion = PROTOCOL.DEFAULT_VERSION, nextState = PROTOCOL.STATE_STATUS) {
+    const portBuffer = Buffer.alloc(2);
+    portBuffer.writeUInt16BE(port, 0);
+
+    return encodePacket(
+        PROTOCOL.HANDSHAKE,
+        encodeVarInt(protocolVersion),
+        encodeString(hostname),
+        portBuffer,
+        encodeVarInt(nextState)
+    );
+}
+
+function createStatusRequestPacket() {
+    return encodePacket(PROTOCOL.STATUS_REQUEST);
+}
+
+function createPingPacket(payload) {
+    const payloadBuffer = Buffer.alloc(8);
+    payloadBuffer.writeBigInt64BE(BigInt.asIntN(64, BigInt(payload)), 0);
+    return encodePacket(PROTOCOL.PING, payloadBuffer);
+}
+
+// 📥 Streaming reader: feed socket chunks, pull complete packets
+class PacketReader {
+    constructor(maxPacketLength = PROTOCOL.MAX_PACKET_LENGTH) {
+        this.buffer = Buffer.alloc(0);
+        this.maxPacketLength = maxPacketLength;
+    }
+
+    push(chunk) {
+        this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+    }
+
+    // Returns { id, data } once a full packet is buffered, otherwise null
+    nextPacket() {
+        let length;
+        let lengthBytes;
+
+        try {
+            ({ value: length, bytesRead: lengthBytes } = decodeVarInt(this.buffer, 0));
+        } catch (error) {
+            if (this.buffer.length >= 5) throw error;
+            return null; // Length prefix not complete yet
+        }
+
+        if (length <= 0 || length > this.maxPacketLength) {
+            throw new ProtocolError(`Invalid packet length: ${length}`);
+        }
+
+        if (this.buffer.length < lengthBytes + length) {
+            return null;
+        }
+
+        const packet = this.buffer.subarray(lengthBytes, lengthBytes + length);
+        this.buffer = this.buffer.subarray(lengthBytes + length);
+
+        const { value: id, bytesRead: idBytes } = decodeVarInt(packet, 0);
+        return { id, data: packet.subarray(idBytes) };
+    }
+}
+
+// 📄 Status response payload: a single JSON string
+function parseStatusResponse(packet) {
+    if (packet.id !== PROTOCOL.STATUS_RESPONSE) {
+        throw new ProtocolError(`Unexpected packet ID 0x${packet.id.toString(16)} in status response`);
+    }
+
+    const { value: json } = decodeString(packet.data, 0);
+    return JSON.parse(json);
+}
+
+// 🏓 Pong payload: the 8-byte value echoed back from our Ping
+function parsePongPacket(packet) {
+    if (packet.id !== PROTOCOL.PONG) {
+        throw new ProtocolError(`Unexpected packet ID 0x${packet.id.toString(16)} in pong`);
+    }
+    if (packet.data.length !== 8) {
+        throw new ProtocolError(`Invalid pong payload length: ${packet.data.length}`);
+    }
+
+    return packet.data.readBigInt64BE(0);
+}
+
+// 🕰️ Legacy ping: 0xFE 0x01 makes 1.4-1.6 servers answer with the §1 format,
+// Beta 1.8-1.3 servers ignore the payload byte and use the older § format
+function createLegacyPingPacket() {
+    return Buffer.from([PROTOCOL.LEGACY_PING, PROTOCOL.LEGACY_PING_PAYLOAD]);
+}
+
+// Returns the kick string once the whole packet is buffered, otherwise null
+function readLegacyKick(buffer) {
+    if (buffer.length === 0) return null;
+
+    if (buffer[0] !== PROTOCOL.LEGACY_KICK) {
+        throw new ProtocolError(`Unexpected legacy packet ID 0x${buffer[0].toString(16)}`);
+    }
+
+    if (buffer.length < 3) return null;
+
+    // Length is counted in UTF-16 code units
+    const byteLength = buffer.readUInt16BE(1) * 2;
+    if (buffer.length < 3 + byteLength) return null;
+
+    return decodeUTF16BE(buffer.subarray(3, 3 + byteLength));
+}
+
+function decodeUTF16BE(buffer) {
+    const swapped = Buffer.from(buffer);
+    swapped.swap16();
+    return swapped.toString('utf16le');
+}
+
+function parseLegacyKick(kickString) {
+    // 1.4-1.6: §1\0protocol\0version\0motd\0online\0max
+    if (kickString.startsWith('\u00a71\u0000')) {
+        const fields = kickString.split('\u0000');
+        if (fields.length < 6) {
+            throw new ProtocolError('Truncated legacy kick string');
+        }
+
+        return {
+            protocol: parseInt(fields[1], 10),
+            version: fields[2],
+            motd: fields[3],
+            online: parseInt(fields[4], 10) || 0,
+            max: parseInt(fields[5], 10) || 0
+        };
+    }
+
+    // Beta 1.8-1.3: motd§online§max (the MOTD itself may not contain §)
+    const fields = kickString.split('\u00a7');
+    if (fields.length < 3) {
+        throw new ProtocolError('Unrecognized legacy kick string');
+    }
+
+    const max = parseInt(fields.pop(), 10);
+    const online = parseInt(fields.pop(), 10);
+    if (Number.isNaN(max) || Number.isNaN(online)) {
+        throw new ProtocolError('Invalid player counts in legacy kick string');
+    }
+
+    return {
+        protocol: null,
+        version: null,
+        motd: fields.join('\u00a7'),
+        online,
+        max
+    };
+}
+
+module.exports = {
+    PROTOCOL,
+    ProtocolError,
+    encodeVarInt,
+    decodeVarInt,
+    encodeVarLong,
+    decodeVarLong,
+    encodeString,
+    decodeString,
+    encodePacket,
+    createHandshakePacket,
+    createStatusRequestPacket,
+    createPingPacket,
+    PacketReader,
+    parseStatusResponse,
+    parsePongPacket,
+    createLegacyPingPacket,
+    readLegacyKick,
+    parseLegacyKick
+};
@@ -24,9 +24,72 @@ const readline = require('readline');
 const EventEmitter = require('events');
 const os = require('os');
 const path = require('path');
-const dns = require('dns').promises;
 const cluster = require('cluster');
 const crypto = require('crypto');
+const dgram = require('dgram');
+const { performance } = require('perf_hooks');
+const {
+    PROTOCOL,
+    PacketReader,
+    decodeVarInt,
+    createHandshakePacket,
+    createStatusRequestPacket,
+    createPingPacket,
+    parseStatusResponse,
+    parsePongPacket,
+    createLegacyPingPacket,
+    readLegacyKick,
+    parseLegacyKick
+} = require('./mc_protocol');
+const { RAKNET, createUnconnectedPing, parseUnconnectedPong } = require('./bedrock_protocol');
+const {
+    createHandshakeRequest,
+    createFullStatRequest,
+    parseHandshakeResponse,
+    parseFullStatResponse,
+    parsePlugins
+} = require('./query_protocol');
+const { parseTarget, isIPAddress, resolveTarget, loadTargetFile } = require('./target_resolver');
+const { createTargetGenerator } = require('./target_generators');
+const CIDRSet = require('./cidr_set');
+const {
+    ipVersion,
+    ipToBigInt,
+    bigIntToIP,
+    cidrContains,
+    formatHostPort
+} = require('./ip_utils');
+const SessionStore = require('./session_store');
+const Blocklist = require('./blocklist');
+const RateLimiter = require('./rate_limiter');
+const ProbePool = require('./probe_pool');
+const { createServerStore, serverKey } = require('./server_store');
+const ServerMonitor = require('./server_monitor');
+const PlayerIndex = require('./player_index');
+const FaviconStore = require('./favicon_store');
+const { renderPlain, renderAnsi, renderHtml } = require('./chat_component');
+const { fingerprintServer, applyQuerySoftware } = require('./server_software');
+const { normalizeVersion, matchesVersionFilter, validateVersionFilter, isRecentVersion } = require('./protocol_versions');
+const GeoIP = require('./geo_ip');
+const HostingClassifier = require('./hosting_classifier');
+const NetworkIndex = require('./network_index');
+const { MESSAGE, WORKER_COUNTERS, ClusterCoordinator, runWorker } = require('./scan_cluster');
+const RollingLatency = require('./latency_stats');
+
+// Monitor state changes and the scanner events they surface as
+const MONITOR_EVENTS = {
+    online: 'serverOnline',
+    offline: 'serverOffline',
+    version: 'serverVersionChanged',
+    motd: 'serverMotdChanged'
+};
+
+// Why a probe never reached a server; these are retried
+const PROBE_FAILURE = {
+    TIMEOUT: 'timeout',
+    REFUSED: 'refused',
+    ERROR: 'error'
+};
 
 class AdvancedMinecraftScanner extends EventEmitter {
     constructor(options = {}) {
@@ -38,9 +101,18 @@ class AdvancedMinecraftScanner extends EventEmitter {
             port: options.port || 25565,
             timeout: options.timeout || 3000,
             maxRetries: options.maxRetries || 2,
+            protocolVersion: options.protocolVersion || PROTOCOL.DEFAULT_VERSION,
+            enableLegacyPing: options.enableLegacyPing ?? true,
+            
+            // Editions to probe: 'java' (TCP status ping), 'bedrock' (RakNet over UDP)
+            editions: options.editions || ['java'],
+            bedrockPort: options.bedrockPort || RAKNET.DEFAULT_PORT,
+            
+            // GS4 query stage after a successful Java status ping (defaults to the game port)
+            enableQuery: options.enableQuery || false,
+            queryPort: options.queryPort || null,
             
             // Performance settings
-            batchSize: options.batchSize || 1500,
             maxConcurrent: options.maxConcurrent || 2000,
             maxScans: options.maxScans || Infinity,
             workerCount: options.workerCount || os.cpus().length,
@@ -48,15 +120,57 @@ class AdvancedMinecraftScanner extends EventEmitter {
             // Output settings
             outputFile: options.outputFile || 'discovered-servers.txt',
             exportFormats: options.exportFormats || ['txt', 'json'],
+            
+            // Storage backend: 'file' (TXT/JSON) or 'sqlite'
+            storage: options.storage || 'file',
+            databaseFile: options.databaseFile || path.join(os.homedir(), '.minecraft-scanner', 'servers.db'),
+            
+            // Index of players seen in status samples (UUID → servers)
+            trackPlayers: options.trackPlayers ?? true,
+
+            // Local MMDB files for geolocation and ASNs (MaxMind or DB-IP)
+            cityDatabase: options.cityDatabase || path.join(os.homedir(), '.minecraft-scanner', 'geoip', 'GeoLite2-City.mmdb'),
+            asnDatabase: options.asnDatabase || path.join(os.homedir(), '.minecraft-scanner', 'geoip', 'GeoLite2-ASN.mmdb'),
+
+            // Provider mappings (ASNs, org names, CIDRs); later files extend earlier ones
+            hostingProviderFiles: options.hostingProviderFiles || [
+                path.join(__dirname, 'hosting_providers.json'),
+                path.join(os.homedir(), '.minecraft-scanner', 'hosting-providers.json')
+            ],
             logLevel: options.logLevel || 'info',
             
             // Scanning modes
             scanMode: options.scanMode || 'smart-random',
             ipRanges: options.ipRanges || this.getDefaultRanges(),
+            targetFile: options.targetFile || null,
+            rangeOrder: options.rangeOrder || 'permuted',
+            scanSeed: options.scanSeed || null,
             excludeRanges: options.excludeRanges || this.getExcludedRanges(),
+            // 'smart-random' also samples the CIDRs of providers with these network types
+            popularRangeTypes: options.popularRangeTypes || ['minecraft-host', 'cloud'],
+            
+            // Monitor mode: re-check known servers, offline after N failed checks in a row
+            monitorInterval: options.monitorInterval || 600000,
+            offlineAfter: options.offlineAfter || 3,
+            
+            // Do-not-scan registry (opt-out requests)
+            blocklistFiles: options.blocklistFiles || [path.join(os.homedir(), '.minecraft-scanner', 'blocklist.txt')],
+            
+            // Rate limiting: global packet budget plus per-network token buckets
+            packetsPerSecond: options.packetsPerSecond || 1000,
+            packetBurst: options.packetBurst || null,
+            prefixBudgets: options.prefixBudgets || [
+                { name: '/24', prefixV4: 24, prefixV6: 64, rate: 1, burst: 1 },
+                { name: '/16', prefixV4: 16, prefixV6: 48, rate: 20, burst: 40 }
+            ],
+            networkBudgets: options.networkBudgets || [],
+            maxDeferred: options.maxDeferred || 50000,
             
             // Filters
             versionFilter: options.versionFilter || null,
+            // Country ISO codes or names, and AS numbers ("AS24940" or 24940)
+            countryFilter: options.countryFilter || null,
+            asnFilter: options.asnFilter || null,
             minPlayers: options.minPlayers || 0,
             maxPlayers: options.maxPlayers || Infinity,
             
@@ -66,7 +180,7 @@ class AdvancedMinecraftScanner extends EventEmitter {
             gcInterval: options.gcInterval || 300000,
             
             // Advanced features
-            enableGeolocation: options.enableGeolocation || true,
+            enableGeolocation: options.enableGeolocation ?? true,
             enableVersionAnalysis: options.enableVersionAnalysis || true,
             enablePerformanceMode: options.enablePerformanceMode || true
         };
@@ -76,7 +190,10 @@ class AdvancedMinecraftScanner extends EventEmitter {
             // Basic counters
             totalScanned: 0,
             totalFound: 0,
+            networksFound: 0,
             duplicatesSkipped: 0,
+            blockedSkipped: 0,
+            rateLimited: 0,
             errorsEncountered: 0,
             
             // Performance metrics
@@ -86,10 +203,18 @@ class AdvancedMinecraftScanner extends EventEmitter {
             peakScanRate: 0,
             avgResponseTime: 0,
             successRate: 0,
+            latency: {
+                connect: null,
+                status: null,
+                ping: null
+            },
+            rateLimits: null,
             
             // Server analysis
             serversByVersion: new Map(),
+            serversByEdition: new Map(),
             serversByCountry: new Map(),
+            serversByProvider: new Map(),
             serversByPlayerCount: new Map(),
             popularMOTDs: new Map(),
             
@@ -109,10 +234,47 @@ class AdvancedMinecraftScanner extends EventEmitter {
 
         // 🗃️ Data management
         this.serverCache = new Set();
+        this.recordedServers = new Set();
         this.ipBlacklist = new Set();
         this.scanQueue = [];
         this.activeScans = new Map();
-        this.rateLimiter = new Map();
+        this.targetsExhausted = false;
+        this.probePool = null;
+
+        // 🧵 Cluster roles: 'standalone', 'primary' or 'worker'
+        this.role = 'standalone';
+        this.coordinator = null;
+        this.shard = null;
+        this.reportToPrimary = null;
+        this.reportedCounters = {};
+        this.lastMaintenanceScan = 0;
+
+        // 💾 Resumable sessions
+        this.sessionStore = new SessionStore(path.join(os.homedir(), '.minecraft-scanner'));
+        this.session = null;
+        this.resumeSessionId = options.resumeSession || null;
+        this.rateLimiter = null;
+        this.store = null;
+        this.scanId = null;
+        this.excludeSet = this.buildExcludeSet();
+        this.blocklist = null;
+        this.monitor = null;
+        this.playerIndex = null;
+        this.geoip = null;
+        this.countryFilter = null;
+        this.asnFilter = null;
+        this.hostingClassifier = null;
+        this.faviconStore = new FaviconStore({ dir: path.join(os.homedir(), '.minecraft-scanner', 'cache', 'favicons') });
+        this.networkIndex = new NetworkIndex({ stateFile: path.join(os.homedir(), '.minecraft-scanner', 'networks.json') });
+        this.randomRangeGenerator = null;
+        this.targetGenerator = null;
+        this.targetList = null;
+        this.bedrockClientGuid = crypto.randomBytes(8).readBigInt64BE(0);
+        this.latencyTrackers = {
+            connect: new RollingLatency(),
+            status: new RollingLatency(),
+            ping: new RollingLatency()
+        };
         
         // 🎛️ Control flags
         this.isRunning = false;
@@ -150,6 +312,25 @@ class AdvancedMinecraftScanner extends EventEmitter {
         ];
     }
 
+    // 🚫 IPv6 ranges to exclude (reserved/special-purpose)
+    getExcludedRangesV6() {
+        return [
+            '::/128',          // Unspecified
+            '::1/128',         // Loopback
+            '::ffff:0:0/96',   // IPv4-mapped
+            '64:ff9b::/96',    // NAT64
+            '100::/64',        // Discard-only
+            '2001::/23',       // IETF protocol assignments (incl. Teredo)
+            '2001:db8::/32',   // Documentation
+            '2002::/16',       // 6to4
+            '3fff::/20',       // Documentation
+            'fc00::/7',        // Unique local
+            'fe80::/10',       // Link-local
+            'fec0::/10',       // Site-local (deprecated)
+            'ff00::/8'         // Multicast
+        ];
+    }
+
     // 📝 Enhanced logging system
     createLogger() {
         const logDir = path.join(os.homedir(), '.minecraft-scanner', 'logs');
@@ -198,7 +379,25 @@ class AdvancedMinecraftScanner extends EventEmitter {
             
             await this.createDirectories();
             await this.loadConfiguration();
+            await this.setupSession();
+            // A typo in the filter would otherwise drop every server found
+            validateVersionFilter(this.config.versionFilter);
+            this.setupBlocklist();
+            this.setupRateLimiter();
+            await this.setupGeolocation();
+            this.setupHostingClassifier();
+            await this.setupStore();
+            this.scanId = await this.store.startScan({ sessionId: this.session?.id, mode: this.config.scanMode });
+            await this.setupPlayerIndex();
+            await this.faviconStore.load();
+            await this.networkIndex.load();
             await this.loadExistingData();
+            await this.loadTargets();
+            if (this.config.scanMode === 'monitor') {
+                await this.setupMonitor();
+            } else {
+                this.setupTargetGenerator();
+            }
             await this.setupIntervals();
             
             this.stats.startTime = Date.now();
@@ -231,13 +430,87 @@ class AdvancedMinecraftScanner extends EventEmitter {
         try {
             const configData = await fs.readFile(configFile, 'utf8');
             const savedConfig = JSON.parse(configData);
-            this.config = { ...this.config, ...savedConfig };
+            this.mergeSavedConfig(savedConfig);
         } catch (error) {
             // Create default config
             await this.saveConfiguration();
         }
     }
 
+    // JSON turns Infinity into null, so nulls never override a non-null default
+    mergeSavedConfig(savedConfig) {
+        for (const [key, value] of Object.entries(savedConfig)) {
+            if (value === null && this.config[key] !== null && this.config[key] !== undefined) continue;
+            this.config[key] = value;
+        }
+    }
+
+    // 💾 Start a new session, or pick up a checkpointed one with its config snapshot
+    async setupSession() {
+        if (!this.resumeSessionId) {
+            this.session = this.sessionStore.create(this.config);
+            this.logger.info(`💾 Session ${this.session.id}`);
+            return;
+        }
+
+        this.session = await this.sessionStore.load(this.resumeSessionId);
+        this.mergeSavedConfig(this.session.config);
+        this.session.status = 'running';
+
+        // Targets that were mid-probe when the last run stopped go first
+        this.scanQueue.push(...(this.session.inFlight || []));
+
+        this.logger.info(`💾 Resuming session ${this.session.id} ` +
+            `(${this.session.counters.totalScanned.toLocaleString()} scanned, ${this.scanQueue.length} in flight)`);
+    }
+
+    async checkpointSession() {
+        if (!this.session) return;
+
+        this.session.scanSeed = this.scanSeed;
+        if (this.coordinator) {
+            // Each worker shard carries its own cursor and in-flight targets
+            this.session.shards = this.coordinator.snapshot();
+            this.session.generator = null;
+            this.session.inFlight = [];
+        } else {
+            this.session.generator = this.targetGenerator?.getState() || null;
+            this.session.inFlight = this.pendingTargets();
+        }
+        this.session.progress = this.serializeProgress(this.getScanProgress());
+
+        await this.sessionStore.save(this.session);
+    }
+
+    // Targets handed out but not finished: mid-probe, requeued or deferred
+    pendingTargets() {
+        return [...this.activeScans.values(), ...this.scanQueue, ...this.rateLimiter.deferred.items()];
+    }
+
+    serializeProgress(progress) {
+        return progress
+            ? { scanned: progress.scanned.toString(), total: progress.total.toString(), ratio: progress.ratio }
+            : null;
+    }
+
+    // Coverage of the target space; in cluster mode, summed over worker shards
+    getScanProgress() {
+        if (!this.coordinator) {
+            return this.targetGenerator?.progress;
+        }
+
+        const shards = this.coordinator.shards.map(shard => shard.progress).filter(Boolean);
+        if (shards.length === 0) return null;
+
+        const scanned = shards.reduce((sum, progress) => sum + BigInt(progress.scanned), 0n);
+        const total = shards.reduce((sum, progress) => sum + BigInt(progress.total), 0n);
+        return {
+            scanned,
+            total,
+            ratio: total === 0n ? 1 : Number((scanned * 1000000n) / total) / 1000000
+        };
+    }
+
     async saveConfiguration() {
         const configFile = path.join(os.homedir(), '.minecraft-scanner', 'config.json');
         await fs.writeFile(configFile, JSON.stringify(this.config, null, 2));
@@ -245,14 +518,13 @@ class AdvancedMinecraftScanner extends EventEmitter {
 
     async loadExistingData() {
         try {
-            // Load discovered servers
-            const serversData = await fs.readFile(this.config.outputFile, 'utf8');
-            const servers = serversData.split('\n').filter(line => line.trim());
+            // Hydrate the dedupe cache from the store
+            const servers = await this.store.loadKnownServers();
             
-            servers.forEach(line => {
-                const [ip] = line.split('|');
-                if (ip && this.isValidIP(ip)) {
-                    this.serverCache.add(ip);
+            servers.forEach((server) => {
+                if (server.ip && this.isValidIP(server.ip)) {
+                    this.serverCache.add(this.getCacheKey(server));
+                    this.recordedServers.add(this.getServerKey(server));
                 }
             });
 
@@ -263,8 +535,11 @@ class AdvancedMinecraftScanner extends EventEmitter {
                 const savedStats = JSON.parse(statsData);
                 // Merge important stats but reset session-specific ones
                 this.stats.totalFound = savedStats.totalFound || 0;
+                this.stats.networksFound = savedStats.networksFound || 0;
                 this.stats.serversByVersion = new Map(savedStats.serversByVersion || []);
                 this.stats.serversByCountry = new Map(savedStats.serversByCountry || []);
+                this.stats.serversByProvider = new Map(savedStats.serversByProvider || []);
+                this.stats.serversByEdition = new Map(savedStats.serversByEdition || []);
             } catch (error) {
                 // No existing stats
             }
@@ -295,9 +570,16 @@ class AdvancedMinecraftScanner extends EventEmitter {
             }, this.config.gcInterval));
         }
 
+        // Batched storage writes
+        this.intervals.set('store', setInterval(() => {
+            this.store.flush().catch(error => {
+                this.logger.error(`❌ Failed to write servers: ${error.message}`);
+            });
+        }, 2000));
+
         // Rate limiter cleanup
         this.intervals.set('rateLimiter', setInterval(() => {
-            this.cleanupRateLimiter();
+            this.rateLimiter.cleanup();
         }, 60000));
     }
 
@@ -313,19 +595,27 @@ class AdvancedMinecraftScanner extends EventEmitter {
         return strategy();
     }
 
+    // Uniform over ipRanges minus the exclusions
     generateRandomPublicIP() {
+        if (!this.randomRangeGenerator) {
+            this.randomRangeGenerator = createTargetGenerator('random', {
+                port: this.config.port,
+                ipRanges: this.config.ipRanges,
+                excludeSet: this.excludeSet
+            });
+        }
+
         let ip;
         do {
-            const parts = Array.from({ length: 4 }, () => Math.floor(Math.random() * 256));
-            ip = parts.join('.');
-        } while (!this.isPublicIP(ip) || this.ipBlacklist.has(ip) || this.serverCache.has(ip));
+            ip = this.randomRangeGenerator.next()?.host;
+        } while (ip && (this.ipBlacklist.has(ip) || this.serverCache.has(ip)));
         
-        return ip;
+        return ip || null;
     }
 
     generateClusterBasedIP() {
         // Generate IPs around previously found servers for better discovery
-        if (this.stats.lastFoundServer) {
+        if (this.stats.lastFoundServer && ipVersion(this.stats.lastFoundServer.ip) === 4) {
             const baseIP = this.stats.lastFoundServer.ip;
             const parts = baseIP.split('.').map(Number);
             
@@ -339,14 +629,14 @@ class AdvancedMinecraftScanner extends EventEmitter {
     }
 
     generatePopularRangeIP() {
-        // Focus on common hosting provider ranges
-        const popularRanges = [
-            '8.8.8.0/24',     // Google
-            '1.1.1.0/24',     // Cloudflare
-            '4.4.4.0/24',     // Level3
-            '208.67.222.0/24' // OpenDNS
-        ];
-        
+        // Focus on known hosting provider ranges (popularRangeTypes)
+        const popularRanges = this.hostingClassifier
+            ? this.hostingClassifier.rangesFor(this.config.popularRangeTypes, { version: 4 })
+            : [];
+        if (popularRanges.length === 0) {
+            return this.generateRandomPublicIP();
+        }
+
         const range = popularRanges[Math.floor(Math.random() * popularRanges.length)];
         return this.generateIPFromRange(range);
     }
@@ -361,15 +651,20 @@ class AdvancedMinecraftScanner extends EventEmitter {
         return this.numberToIP((base & mask) | randomHost);
     }
 
+    // IPv4 addresses map to Numbers, IPv6 to BigInts
     ipToNumber(ip) {
-        return ip.split('.').reduce((acc, octet) => (acc << 8) + parseInt(octet), 0) >>> 0;
+        const value = ipToBigInt(ip);
+        return ipVersion(ip) === 4 ? Number(value) : value;
     }
 
     numberToIP(num) {
-        return [(num >>> 24) & 0xFF, (num >>> 16) & 0xFF, (num >>> 8) & 0xFF, num & 0xFF].join('.');
+        return typeof num === 'bigint' ? bigIntToIP(num, 6) : bigIntToIP(BigInt(num >>> 0), 4);
     }
 
     isValidIP(ip) {
+        if (typeof ip !== 'string') return false;
+        if (net.isIPv6(ip)) return true;
+
         const regex = /^(\d{1,3}\.){3}\d{1,3}$/;
         if (!regex.test(ip)) return false;
         
@@ -379,494 +674,1009 @@ class AdvancedMinecraftScanner extends EventEmitter {
         });
     }
 
-    isPublicIP(ip) {
-        if (!this.isValidIP(ip)) return false;
-        
-        const parts = ip.split('.').map(Number);
-        
-        // Check against excluded ranges
-        const excludedChecks = [
-            () => parts[0] === 10,
-            () => parts[0] === 172 && parts[1] >= 16 && parts[1] <= 31,
-            () => parts[0] === 192 && parts[1] === 168,
-            () => parts[0] === 127,
-            () => parts[0] === 169 && parts[1] === 254,
-            () => parts[0] >= 224
-        ];
-
-        return !excludedChecks.some(check => check());
+    // Built-in reserved ranges always apply; excludeRanges adds to them
+    buildExcludeSet() {
+        return new CIDRSet([
+            ...this.getExcludedRanges(),
+            ...this.getExcludedRangesV6(),
+            ...this.config.excludeRanges
+        ]);
     }
 
-    // 🌐 Enhanced server checking with advanced parsing
-    async checkMinecraftServer(ip, retryCount = 0) {
-        if (retryCount >= this.config.maxRetries) {
-            this.ipBlacklist.add(ip);
-            return null;
-        }
-
-        // Rate limiting
-        if (this.isRateLimited(ip)) {
-            await this.delay(100);
-            return null;
-        }
+    isPublicIP(ip) {
+        if (!this.isValidIP(ip)) return false;
 
-        const startTime = Date.now();
-        const timeoutId = setTimeout(() => {
-            this.stats.timeoutCount++;
-        }, this.config.timeout);
+        // IPv6: only global unicast (2000::/3)
+        if (net.isIPv6(ip) && !cidrContains('2000::/3', ip)) return false;
 
-        try {
-            this.stats.activeConnections++;
-            const serverInfo = await this.performServerPing(ip);
-            
-            clearTimeout(timeoutId);
-            const responseTime = Date.now() - startTime;
-            
-            if (serverInfo) {
-                // Enhanced server information
-                const enhancedInfo = await this.enhanceServerInfo(ip, serverInfo, responseTime);
-                
-                if (this.passesFilters(enhancedInfo)) {
-                    return enhancedInfo;
-                }
-            }
-            
-            return null;
-            
-        } catch (error) {
-            clearTimeout(timeoutId);
-            this.stats.connectionErrors++;
-            
-            if (retryCount < this.config.maxRetries) {
-                await this.delay(500 * (retryCount + 1));
-                return this.checkMinecraftServer(ip, retryCount + 1);
-            }
-            
-            return null;
-        } finally {
-            this.stats.activeConnections--;
-            this.updateRateLimit(ip);
-        }
+        return !this.excludeSet.contains(ip);
     }
 
-    async performServerPing(ip) {
-        return new Promise((resolve, reject) => {
-            const socket = new net.Socket();
-            let responseBuffer = Buffer.alloc(0);
-            let hasResponded = false;
-
-            const cleanup = () => {
-                if (!socket.destroyed) {
-                    socket.destroy();
-                }
-            };
+    // 🛑 Do-not-scan registry, reloaded live when its files change
+    setupBlocklist() {
+        this.blocklist = new Blocklist(this.config.blocklistFiles);
 
-            const timeout = setTimeout(() => {
-                if (!hasResponded) {
-                    hasResponded = true;
-                    cleanup();
-                    resolve(null);
-                }
-            }, this.config.timeout);
+        this.blocklist.on('invalid', ({ file, line, error }) => {
+            this.logger.warn(`⚠️ Ignoring blocklist entry ${file}:${line}: ${error.message}`);
+        });
+        this.blocklist.on('reloaded', (count) => {
+            this.logger.info(`🛑 Blocklist reloaded (${count} entries)`);
+        });
+        this.blocklist.on('error', (error) => {
+            this.logger.error(`❌ Failed to reload blocklist: ${error.message}`);
+        });
 
-            socket.connect(this.config.port, ip, () => {
-                try {
-                    // Send handshake packet
-                    const handshake = this.createHandshakePacket(ip);
-                    socket.write(handshake);
-                    
-                    // Send status request
-                    socket.write(Buffer.from([0x01, 0x00]));
-                } catch (error) {
-                    clearTimeout(timeout);
-                    hasResponded = true;
-                    cleanup();
-                    resolve(null);
-                }
-            });
+        this.blocklist.load();
+        this.blocklist.watch();
+        this.logger.info(`🛑 Loaded ${this.blocklist.entries.length} blocklist entries`);
+    }
 
-            socket.on('data', (chunk) => {
-                responseBuffer = Buffer.concat([responseBuffer, chunk]);
-            });
+    isBlocked(ip) {
+        return this.blocklist ? this.blocklist.isBlocked(ip) : false;
+    }
 
-            socket.on('error', () => {
-                if (!hasResponded) {
-                    hasResponded = true;
-                    clearTimeout(timeout);
-                    cleanup();
-                    resolve(null);
-                }
+    // 🗺️ Offline geolocation; the ASN database also enables ASN entries in
+    // the blocklist and ASN rate budgets, so it loads even without geolocation
+    async setupGeolocation() {
+        if (!this.geoip) {
+            this.geoip = new GeoIP({
+                cityDatabase: this.config.enableGeolocation ? this.config.cityDatabase : null,
+                asnDatabase: this.config.asnDatabase
             });
-
-            socket.on('close', () => {
-                if (!hasResponded) {
-                    hasResponded = true;
-                    clearTimeout(timeout);
-                    
-                    try {
-                        const serverInfo = this.parseServerResponse(responseBuffer);
-                        resolve(serverInfo);
-                    } catch (error) {
-                        resolve(null);
-                    }
-                }
+            this.geoip.on('error', ({ file, error }) => {
+                this.logger.warn(`⚠️ Cannot read MMDB file ${file}: ${error.message}`);
             });
-        });
-    }
+            await this.geoip.load();
 
-    createHandshakePacket(hostname) {
-        const hostnameBuffer = Buffer.from(hostname, 'utf8');
-        const packet = Buffer.alloc(hostnameBuffer.length + 7);
-        let offset = 0;
+            if (this.geoip.available) {
+                const status = kind => (this.geoip[kind] ? '✓' : '✗');
+                this.logger.info(`🗺️ Geolocation databases: city ${status('city')}  ASN ${status('asn')}`);
+            }
+            if (this.config.countryFilter && !this.geoip.city) {
+                this.logger.warn(`⚠️ countryFilter needs a city database at ${this.config.cityDatabase}; no server will match`);
+            }
+            if (this.config.asnFilter && !this.geoip.asn) {
+                this.logger.warn(`⚠️ asnFilter needs an ASN database at ${this.config.asnDatabase}; no server will match`);
+            }
+        }
 
-        // Packet ID
-        packet.writeUInt8(0x00, offset++);
-        // Protocol version
-        packet.writeUInt8(0x00, offset++);
-        // Hostname length
-        packet.writeUInt8(hostnameBuffer.length, offset++);
-        // Hostname
-        hostnameBuffer.copy(packet, offset);
-        offset += hostnameBuffer.length;
-        // Port
-        packet.writeUInt16BE(this.config.port, offset);
-        offset += 2;
-        // Next state (status)
-        packet.writeUInt8(0x01, offset);
+        // Built once; passesFilters runs for every response
+        this.countryFilter = this.config.countryFilter ? GeoIP.createCountryFilter(this.config.countryFilter) : null;
+        this.asnFilter = this.config.asnFilter ? GeoIP.createAsnFilter(this.config.asnFilter) : null;
 
-        return packet;
+        if (this.geoip.asn) {
+            const resolver = ip => this.geoip.asnFor(ip);
+            this.blocklist?.setAsnResolver(resolver);
+            this.rateLimiter?.setAsnResolver(resolver);
+        }
     }
 
-    parseServerResponse(buffer) {
-        if (!buffer || buffer.length < 2) return null;
-
+    // 🏢 Hosting provider and network type; a bad mapping file only disables it
+    setupHostingClassifier() {
         try {
-            // Skip packet length and packet ID
-            let offset = 0;
-            
-            // Read packet length
-            const { value: packetLength, bytesRead } = this.readVarInt(buffer, offset);
-            offset += bytesRead;
-            
-            if (packetLength <= 0 || offset >= buffer.length) return null;
-            
-            // Skip packet ID
-            const { bytesRead: packetIdBytes } = this.readVarInt(buffer, offset);
-            offset += packetIdBytes;
-            
-            // Read JSON length
-            const { value: jsonLength, bytesRead: jsonLengthBytes } = this.readVarInt(buffer, offset);
-            offset += jsonLengthBytes;
-            
-            if (jsonLength <= 0 || offset + jsonLength > buffer.length) return null;
-            
-            // Extract JSON
-            const jsonData = buffer.slice(offset, offset + jsonLength).toString('utf8');
-            return JSON.parse(jsonData);
-            
+            this.hostingClassifier = new HostingClassifier(this.config.hostingProviderFiles).load();
+            this.logger.info(`🏢 Loaded ${this.hostingClassifier.providers.length} hosting providers`);
         } catch (error) {
-            // Fallback: try to find JSON in the response
-            const responseString = buffer.toString('utf8');
-            const jsonMatch = responseString.match(/{.*}/);
-            
-            if (jsonMatch) {
-                try {
-                    return JSON.parse(jsonMatch[0]);
-                } catch (e) {
-                    return null;
-                }
-            }
-            
-            return null;
+            this.hostingClassifier = null;
+            this.logger.warn(`⚠️ Hosting provider classification disabled: ${error.message}`);
         }
     }
 
-    readVarInt(buffer, offset) {
-        let value = 0;
-        let bytesRead = 0;
-        let currentByte;
+    // Abuse-contact workflow: record the opt-out, then forget what we found there
+    async blockRange(entry, note = '') {
+        if (!this.blocklist) {
+            this.setupBlocklist();
+        }
 
-        do {
-            if (offset + bytesRead >= buffer.length) {
-                throw new Error('Buffer overflow while reading VarInt');
-            }
-            
-            currentByte = buffer[offset + bytesRead];
-            value |= (currentByte & 0x7F) << (7 * bytesRead);
-            bytesRead++;
-        } while ((currentByte & 0x80) !== 0 && bytesRead < 5);
+        await Blocklist.append(this.blocklist.files[0], entry, note);
+        this.blocklist.load();
 
-        return { value, bytesRead };
+        const removed = await this.purgeBlockedServers();
+        this.logger.success(`🛑 Blocked ${entry}, removed ${removed} discovered servers`);
+        return removed;
     }
 
-    // 🔍 Enhanced server information gathering
-    async enhanceServerInfo(ip, rawInfo, responseTime) {
-        const enhanced = {
-            // Basic info
-            ip,
-            port: this.config.port,
-            timestamp: new Date().toISOString(),
-            responseTime,
-            
-            // Server details
-            version: this.extractVersion(rawInfo),
-            protocol: rawInfo.version?.protocol || 'Unknown',
-            players: {
-                online: rawInfo.players?.online || 0,
-                max: rawInfo.players?.max || 0,
-                sample: rawInfo.players?.sample || []
-            },
-            
-            // Description
-            description: this.extractDescription(rawInfo),
-            motd: this.extractMOTD(rawInfo),
-            
-            // Advanced features
-            favicon: rawInfo.favicon ? 'Present' : 'None',
-            modded: this.detectModded(rawInfo),
-            
-            // Geolocation (if enabled)
-            location: null,
-            country: 'Unknown',
-            
-            // Quality metrics
-            qualityScore: 0,
-            
-            // Raw data for analysis
-            raw: JSON.stringify(rawInfo)
-        };
+    async purgeBlockedServers() {
+        await this.setupStore();
+        await this.setupPlayerIndex();
+        await this.setupGeolocation();
 
-        // Add geolocation
-        if (this.config.enableGeolocation) {
-            try {
-                enhanced.location = await this.getServerLocation(ip);
-                enhanced.country = this.extractCountry(enhanced.location);
-            } catch (error) {
-                // Geolocation failed, keep defaults
-            }
+        const removed = await this.store.removeServers(server => this.isBlocked(server.ip));
+        removed.forEach(server => {
+            this.serverCache.delete(this.getCacheKey(server));
+            this.recordedServers.delete(this.getServerKey(server));
+        });
+
+        if (this.playerIndex) {
+            this.playerIndex.removeServers(server => this.isBlocked(server.ip));
+            await this.playerIndex.save();
         }
 
-        // Calculate quality score
-        enhanced.qualityScore = this.calculateQualityScore(enhanced);
+        await this.faviconStore.load();
+        this.faviconStore.removeServers(server => this.isBlocked(server.ip));
+        await this.faviconStore.save();
 
-        return enhanced;
-    }
+        await this.networkIndex.load();
+        this.networkIndex.removeServers(server => this.isBlocked(server.ip));
+        await this.networkIndex.save();
 
-    extractVersion(rawInfo) {
-        if (rawInfo.version?.name) {
-            return rawInfo.version.name;
-        }
-        return 'Unknown';
+        // Monitor history (addresses, MOTDs, versions, players) goes now, not at the next check
+        const monitor = this.monitor || this.createMonitor();
+        if (!this.monitor) await monitor.load();
+        monitor.removeServers(state => this.isBlocked(state.ip));
+        await monitor.save();
+
+        return removed.length;
     }
 
-    extractDescription(rawInfo) {
-        if (typeof rawInfo.description === 'string') {
-            return rawInfo.description;
-        }
-        
-        if (rawInfo.description?.text) {
-            return rawInfo.description.text;
-        }
+    // Post-processing: group every stored record into networks (records from
+    // before network detection, or from other machines) and write the IDs back
+    async regroupNetworks() {
+        await this.setupStore();
+        await this.networkIndex.load();
 
-        if (rawInfo.description?.extra) {
-            return rawInfo.description.extra.map(part => part.text || '').join('');
-        }
+        const records = (await this.store.loadRecords())
+            .filter(record => record && record.ip)
+            .sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')));
+        records.forEach(record => this.networkIndex.record(serverKey(record), record));
 
-        return 'No description';
+        const assignments = new Map(Array.from(this.networkIndex.servers.values(), server => [server.key, server.network]));
+        await this.store.updateNetworks(assignments);
+        await this.networkIndex.save();
+
+        return records.length;
     }
 
-    extractMOTD(rawInfo) {
-        const desc = this.extractDescription(rawInfo);
-        // Clean MOTD from Minecraft formatting codes
-        return desc.replace(/§[0-9a-fk-or]/g, '').trim();
+    // 🧭 Scan targets: { ip, port, hostname, srvTarget }
+    createTarget(ip, port = this.config.port) {
+        return { ip, port, hostname: null, srvTarget: null };
     }
 
-    detectModded(rawInfo) {
-        const indicators = [
-            'forge', 'fabric', 'bukkit', 'spigot', 'paper', 'sponge',
-            'mod', 'plugin', 'cauldron', 'mohist', 'magma'
-        ];
-        
-        const searchText = JSON.stringify(rawInfo).toLowerCase();
-        return indicators.some(indicator => searchText.includes(indicator));
+    // Virtual hosts share an IP, so hostname targets dedupe by name
+    getCacheKey(target) {
+        return target.hostname ? target.hostname.toLowerCase() : (target.ip || target.host);
     }
 
-    async getServerLocation(ip) {
-        try {
-            // Try reverse DNS lookup
-            const hostnames = await dns.reverse(ip);
-            if (hostnames && hostnames.length > 0) {
-                return this.extractLocationFromHostname(hostnames[0]);
-            }
-        } catch (error) {
-            // Reverse DNS failed
-        }
-        
-        return 'Unknown';
+    // Found servers dedupe per edition and port: one host may run both editions
+    getServerKey(server) {
+        return serverKey({ ...server, port: server.port || this.defaultPortFor(server.edition) });
     }
 
-    extractLocationFromHostname(hostname) {
-        const locationIndicators = {
-            'us': 'United States', 'uk': 'United Kingdom', 'de': 'Germany',
-            'fr': 'France', 'nl': 'Netherlands', 'au': 'Australia',
-            'ca': 'Canada', 'jp': 'Japan', 'kr': 'South Korea',
-            'br': 'Brazil', 'ru': 'Russia', 'cn': 'China'
-        };
+    defaultPortFor(edition) {
+        return edition === 'bedrock' ? this.config.bedrockPort : this.config.port;
+    }
 
-        for (const [code, country] of Object.entries(locationIndicators)) {
-            if (hostname.toLowerCase().includes(code)) {
-                return country;
-            }
+    // Requeued targets first, then deferred ones whose time has come, then new ones
+    nextTarget() {
+        if (this.scanQueue.length > 0) {
+            return this.scanQueue.shift();
         }
 
-        return 'Unknown';
-    }
+        const deferred = this.rateLimiter.deferred.popReady();
+        if (deferred) return deferred;
 
-    extractCountry(location) {
-        return location === 'Unknown' ? 'Unknown' : location;
-    }
+        // Backpressure: leave the generator alone while too many targets wait on budgets
+        if (this.targetsExhausted || this.rateLimiter.deferred.size >= this.config.maxDeferred) {
+            return null;
+        }
 
-    calculateQualityScore(serverInfo) {
-        let score = 0;
+        const target = this.targetGenerator.next();
+        if (!target) this.targetsExhausted = true;
+        return target;
+    }
 
-        // Player count bonus
-        if (serverInfo.players.online > 0) score += 20;
-        if (serverInfo.players.online > 10) score += 20;
-        if (serverInfo.players.online > 50) score += 20;
+    setupTargetGenerator() {
+        this.excludeSet = this.buildExcludeSet();
+        this.randomRangeGenerator = null;
 
-        // Description quality
-        if (serverInfo.motd && serverInfo.motd.length > 10) score += 15;
+        // A fixed seed reproduces the same 'range' order across runs
+        this.scanSeed = this.session?.scanSeed || this.config.scanSeed || crypto.randomBytes(8).toString('hex');
 
-        // Version recency
-        const knownVersions = ['1.21', '1.20', '1.19', '1.18'];
-        if (knownVersions.some(v => serverInfo.version.includes(v))) score += 15;
+        this.targetGenerator = createTargetGenerator(this.config.scanMode, {
+            port: this.config.port,
+            order: this.config.rangeOrder,
+            seed: this.scanSeed,
+            ipRanges: this.config.ipRanges,
+            excludeSet: this.excludeSet,
+            entries: this.targetList,
+            shardIndex: this.shard ? this.shard.index : 0,
+            shardCount: this.shard ? this.shard.count : 1,
+            generateSmartIP: () => this.generateSmartIP(),
+            onInvalid: (entry, error) => this.logger.warn(`⚠️ Skipping target: ${error.message}`)
+        });
 
-        // Response time
-        if (serverInfo.responseTime < 100) score += 10;
+        if (this.session?.generator) {
+            this.targetGenerator.restore(this.session.generator);
+        }
 
-        return Math.min(score, 100);
+        const progress = this.targetGenerator.progress;
+        this.logger.info(`🎯 Scan mode: ${this.config.scanMode}` +
+            (progress ? ` (${progress.total.toLocaleString()} targets, seed ${this.scanSeed})` : ''));
     }
 
-    // 🔍 Filtering system
-    passesFilters(serverInfo) {
-        // Version filter
-        if (this.config.versionFilter && !this.config.versionFilter.includes(serverInfo.version)) {
-            return false;
+    // Accepts an IP string, a parsed { host, port } entry or a resolved target
+    async resolveScanTarget(entry) {
+        if (typeof entry === 'string') {
+            return resolveTarget(parseTarget(entry, this.config.port));
         }
-
-        // Player count filters
-        if (serverInfo.players.online < this.config.minPlayers) {
-            return false;
+        if (entry.ip) {
+            return entry;
         }
+        return resolveTarget(entry);
+    }
 
-        if (serverInfo.players.online > this.config.maxPlayers) {
-            return false;
-        }
+    async loadTargets() {
+        if (!this.config.targetFile) return;
 
-        return true;
+        this.targetList = await loadTargetFile(this.config.targetFile);
+        this.logger.info(`🧭 Loaded ${this.targetList.length} targets from ${this.config.targetFile}`);
     }
 
-    // ⚡ Rate limiting
-    isRateLimited(ip) {
-        const subnet = ip.split('.').slice(0, 3).join('.');
-        const now = Date.now();
-        const limit = this.rateLimiter.get(subnet);
-        
-        return limit && (now - limit) < 1000; // 1 second rate limit per /24 subnet
+    // 📡 Monitor mode: re-check known servers instead of discovering new ones
+    async setupMonitor() {
+        this.monitor = this.createMonitor();
+
+        await this.monitor.load();
+        this.monitor.sync(await this.loadMonitorEntries());
+        this.monitor.on('change', change => this.handleMonitorChange(change));
+
+        this.logger.info(`📡 Monitoring ${this.monitor.size} servers every ${this.formatDuration(this.config.monitorInterval)}`);
     }
 
-    updateRateLimit(ip) {
-        const subnet = ip.split('.').slice(0, 3).join('.');
-        this.rateLimiter.set(subnet, Date.now());
+    createMonitor() {
+        return new ServerMonitor({
+            stateFile: path.join(os.homedir(), '.minecraft-scanner', 'monitor-state.json'),
+            interval: this.config.monitorInterval,
+            offlineAfter: this.config.offlineAfter
+        });
     }
 
-    cleanupRateLimiter() {
-        const now = Date.now();
-        for (const [subnet, timestamp] of this.rateLimiter.entries()) {
-            if (now - timestamp > 300000) { // 5 minutes
-                this.rateLimiter.delete(subnet);
-            }
+    // The target list when one is configured, otherwise every stored server
+    async loadMonitorEntries() {
+        if (!this.targetList) {
+            const servers = await this.store.loadKnownServers();
+            return servers.map(({ ip, port, hostname, edition }) => ({
+                ip,
+                port: port || this.defaultPortFor(edition),
+                hostname: hostname || null,
+                edition
+            }));
         }
-    }
 
-    // 💾 Data persistence
-    async saveServer(serverInfo) {
-        try {
-            // Save to main file
-            const line = this.formatServerLine(serverInfo);
-            await fs.appendFile(this.config.outputFile, line + '\n');
-
-            // Save to JSON if enabled
-            if (this.config.exportFormats.includes('json')) {
-                const jsonFile = this.config.outputFile.replace('.txt', '.json');
-                const existingData = await this.loadJSONFile(jsonFile);
-                existingData.servers.push(serverInfo);
-                await fs.writeFile(jsonFile, JSON.stringify(existingData, null, 2));
+        const entries = [];
+        for (const line of this.targetList) {
+            if (line.includes('/')) {
+                this.logger.warn(`⚠️ Monitor mode skips range ${line}; list single servers`);
+                continue;
             }
 
-            // Cache the IP
-            this.serverCache.add(serverInfo.ip);
-            
-            // Update statistics
-            this.updateServerStats(serverInfo);
-
-        } catch (error) {
-            this.logger.error(`Failed to save server ${serverInfo.ip}: ${error.message}`);
+            try {
+                for (const edition of this.config.editions) {
+                    const { host, port, explicitPort } = parseTarget(line, this.defaultPortFor(edition));
+                    entries.push(isIPAddress(host)
+                        ? { ip: host, port, hostname: null, edition }
+                        : { ip: null, port, hostname: host, edition, explicitPort });
+                }
+            } catch (error) {
+                this.logger.warn(`⚠️ Skipping target: ${error.message}`);
+            }
         }
+        return entries;
     }
 
-    formatServerLine(serverInfo) {
-        return [
-            serverInfo.ip,
-            serverInfo.version,
-            `${serverInfo.players.online}/${serverInfo.players.max}`,
-            serverInfo.motd.replace(/\n/g, ' ').substring(0, 50),
-            serverInfo.country,
-            serverInfo.qualityScore,
-            serverInfo.timestamp
-        ].join('|');
+    handleMonitorChange(change) {
+        const server = change.server;
+        const name = server.hostname || formatHostPort(server.ip, server.port);
+
+        switch (change.type) {
+            case 'online':
+                this.logger.success(`📡 ${name} is back online`);
+                break;
+            case 'offline':
+                this.logger.warn(`📡 ${name} went offline (${change.failures} failed checks)`);
+                break;
+            case 'version':
+                this.logger.info(`📡 ${name} changed version: ${change.from} → ${change.to}`);
+                break;
+            case 'motd':
+                this.logger.info(`📡 ${name} changed its MOTD`);
+                break;
+        }
+
+        this.store.recordEvent(change).catch(error => {
+            this.logger.error(`❌ Failed to record ${change.type} event for ${name}: ${error.message}`);
+        });
+        this.emit(MONITOR_EVENTS[change.type], change);
+    }
+
+    // 🌐 Enhanced server checking with advanced parsing
+    async checkMinecraftServer(target, retryCount = 0, edition = 'java') {
+        if (typeof target === 'string') {
+            target = this.createTarget(target);
+        }
+
+        const { ip } = target;
+
+        // Never open a socket to an opted-out network
+        if (this.isBlocked(ip)) {
+            return null;
+        }
+
+        if (retryCount >= this.config.maxRetries) {
+            this.ipBlacklist.add(ip);
+            return null;
+        }
+
+        let pingResult;
+        this.stats.activeConnections++;
+        try {
+            pingResult = edition === 'bedrock'
+                ? await this.performBedrockPing(target)
+                : await this.performJavaPing(target);
+        } catch (error) {
+            pingResult = { failure: PROBE_FAILURE.ERROR };
+        } finally {
+            this.stats.activeConnections--;
+        }
+
+        // Only a probe that never reached a server is retried
+        if (pingResult?.failure) {
+            this.handleProbeFailure(target, retryCount, edition, pingResult.failure);
+            return null;
+        }
+
+        // The server answered: a bug past this point is ours, not a connection error
+        try {
+            if (pingResult?.status) {
+                this.recordLatency(pingResult.latency);
+
+                // Enhanced server information
+                const enhancedInfo = await this.enhanceServerInfo(ip, pingResult.status, {
+                    ...pingResult,
+                    hostname: target.hostname,
+                    srvTarget: target.srvTarget
+                });
+                
+                if (this.passesFilters(enhancedInfo)) {
+                    if (this.config.enableQuery && enhancedInfo.edition === 'java') {
+                        await this.mergeQueryInfo(enhancedInfo);
+                    }
+                    return enhancedInfo;
+                }
+            }
+            
+            return null;
+            
+        } catch (error) {
+            this.stats.errorsEncountered++;
+            this.logger.warn(`⚠️ Failed to process response from ${formatHostPort(ip, target.port)}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // A probe that never reached a server is requeued until maxRetries attempts
+    handleProbeFailure(target, retryCount, edition, failure) {
+        this.countProbeFailure(failure);
+
+        if (retryCount + 1 < this.config.maxRetries) {
+            this.scheduleRetry(target, retryCount + 1, edition);
+        } else {
+            this.ipBlacklist.add(target.ip);
+        }
+    }
+
+    countProbeFailure(failure) {
+        if (failure === PROBE_FAILURE.TIMEOUT) {
+            this.stats.timeoutCount++;
+        } else {
+            this.stats.connectionErrors++;
+        }
+    }
+
+    async performJavaPing(target) {
+        const pingResult = await this.performServerPing(target);
+
+        // Connected but no usable status: try the pre-1.7 protocol
+        if (!pingResult.failure && !pingResult.status && this.config.enableLegacyPing) {
+            return this.performLegacyPing(target);
+        }
+
+        return pingResult;
+    }
+
+    // Resolves { failure } when no connection was made, otherwise { status, latency, pingType }
+    // with status left null if the server spoke something other than the modern protocol.
+    // The Ping/Pong stage is best-effort.
+    async performServerPing(target) {
+        const { ip, port } = target;
+
+        return new Promise((resolve) => {
+            const socket = new net.Socket();
+            const reader = new PacketReader();
+            const latency = { connectTime: null, statusTime: null, pingTime: null };
+            const startTime = performance.now();
+            let phaseStart = startTime;
+            let status = null;
+            let pingPayload = null;
+            let hasResponded = false;
+
+            const finish = (failure = PROBE_FAILURE.ERROR) => {
+                if (hasResponded) return;
+                hasResponded = true;
+                clearTimeout(timeout);
+                if (!socket.destroyed) {
+                    socket.destroy();
+                }
+                resolve(latency.connectTime !== null ? { status, latency, pingType: 'modern', edition: 'java', port } : { failure });
+            };
+
+            const timeout = setTimeout(() => finish(PROBE_FAILURE.TIMEOUT), this.config.timeout);
+
+            socket.connect(port, ip, () => {
+                latency.connectTime = Math.round(performance.now() - startTime);
+                phaseStart = performance.now();
+
+                try {
+                    // Virtual-host proxies route on the hostname the player typed
+                    socket.write(this.createHandshakePacket(target.hostname || ip, port));
+                    socket.write(createStatusRequestPacket());
+                } catch (error) {
+                    finish();
+                }
+            });
+
+            socket.on('data', (chunk) => {
+                reader.push(chunk);
+
+                try {
+                    let packet;
+                    while (!hasResponded && (packet = reader.nextPacket())) {
+                        if (!status) {
+                            status = parseStatusResponse(packet);
+                            latency.statusTime = Math.round(performance.now() - phaseStart);
+
+                            // Follow up with Ping for a real round-trip measurement
+                            pingPayload = crypto.randomBytes(8).readBigInt64BE(0);
+                            phaseStart = performance.now();
+                            socket.write(createPingPacket(pingPayload));
+                        } else {
+                            if (parsePongPacket(packet) === pingPayload) {
+                                latency.pingTime = Math.round(performance.now() - phaseStart);
+                            } else {
+                                this.logger.debug(`Pong payload mismatch from ${ip}`);
+                            }
+                            finish();
+                        }
+                    }
+                } catch (error) {
+                    this.logger.debug(`Malformed response from ${ip}: ${error.message}`);
+                    finish();
+                }
+            });
+
+            socket.on('error', (error) => finish(error.code === 'ECONNREFUSED' ? PROBE_FAILURE.REFUSED : PROBE_FAILURE.ERROR));
+            socket.on('close', () => finish());
+        });
+    }
+
+    // 🕰️ Pre-1.7 fallback: 0xFE 0x01 ping answered by a UTF-16BE 0xFF kick
+    async performLegacyPing(target) {
+        const { ip, port } = target;
+
+        return new Promise((resolve) => {
+            const socket = new net.Socket();
+            const latency = { connectTime: null, statusTime: null, pingTime: null };
+            const startTime = performance.now();
+            let responseBuffer = Buffer.alloc(0);
+            let status = null;
+            let hasResponded = false;
+
+            const finish = () => {
+                if (hasResponded) return;
+                hasResponded = true;
+                clearTimeout(timeout);
+                if (!socket.destroyed) {
+                    socket.destroy();
+                }
+                resolve(status ? { status, latency, pingType: 'legacy', edition: 'java', port } : null);
+            };
+
+            const timeout = setTimeout(finish, this.config.timeout);
+
+            socket.connect(port, ip, () => {
+                latency.connectTime = Math.round(performance.now() - startTime);
+                socket.write(createLegacyPingPacket());
+            });
+
+            socket.on('data', (chunk) => {
+                responseBuffer = Buffer.concat([responseBuffer, chunk]);
+
+                try {
+                    const kickString = readLegacyKick(responseBuffer);
+                    if (kickString !== null) {
+                        latency.statusTime = Math.round(performance.now() - startTime) - latency.connectTime;
+                        status = this.legacyToStatus(parseLegacyKick(kickString));
+                        finish();
+                    }
+                } catch (error) {
+                    this.logger.debug(`Malformed legacy response from ${ip}: ${error.message}`);
+                    finish();
+                }
+            });
+
+            socket.on('error', finish);
+            socket.on('close', finish);
+        });
+    }
+
+    // Shape legacy kick fields like a modern status response
+    legacyToStatus(legacy) {
+        return {
+            version: {
+                name: legacy.version || 'Legacy (Beta 1.8-1.3)',
+                protocol: legacy.protocol
+            },
+            players: {
+                online: legacy.online,
+                max: legacy.max
+            },
+            description: legacy.motd
+        };
+    }
+
+    // 🪨 Bedrock Edition: RakNet Unconnected Ping over UDP
+    // Scan targets carry the Java port unless one was given, so Bedrock only
+    // takes the target's port when it is explicit
+    async performBedrockPing(target) {
+        const { ip } = target;
+
+        return new Promise((resolve) => {
+            const socket = dgram.createSocket(net.isIPv6(ip) ? 'udp6' : 'udp4');
+            const port = target.explicitPort ? target.port : this.config.bedrockPort;
+            const startTime = performance.now();
+            let hasResponded = false;
+
+            const finish = (result) => {
+                if (hasResponded) return;
+                hasResponded = true;
+                clearTimeout(timeout);
+                socket.close();
+                resolve(result);
+            };
+
+            // UDP gives no refusal; silence is the only failure
+            const timeout = setTimeout(() => finish({ failure: PROBE_FAILURE.TIMEOUT }), this.config.timeout);
+
+            socket.on('message', (message, remote) => {
+                if (remote.address !== ip) return;
+
+                try {
+                    const pong = parseUnconnectedPong(message);
+                    const pingTime = Math.round(performance.now() - startTime);
+
+                    finish({
+                        status: this.bedrockToStatus(pong),
+                        latency: { connectTime: null, statusTime: null, pingTime },
+                        pingType: 'raknet',
+                        edition: 'bedrock',
+                        port
+                    });
+                } catch (error) {
+                    this.logger.debug(`Malformed Bedrock pong from ${ip}: ${error.message}`);
+                    finish(null);
+                }
+            });
+
+            socket.on('error', () => finish({ failure: PROBE_FAILURE.ERROR }));
+
+            const ping = createUnconnectedPing(Date.now(), this.bedrockClientGuid);
+            socket.send(ping, port, ip, (error) => {
+                if (error) finish({ failure: PROBE_FAILURE.ERROR });
+            });
+        });
+    }
+
+    // Shape an Unconnected Pong like a modern status response
+    bedrockToStatus(pong) {
+        return {
+            version: {
+                name: pong.version,
+                protocol: pong.protocol
+            },
+            players: {
+                online: pong.online,
+                max: pong.max
+            },
+            description: pong.motd,
+            bedrock: {
+                edition: pong.edition,
+                serverGuid: pong.guid || pong.serverGuid.toString(),
+                subMotd: pong.subMotd,
+                gamemode: pong.gamemode,
+                portV4: pong.portV4,
+                portV6: pong.portV6
+            }
+        };
+    }
+
+    // 🔎 GS4 Query: handshake for a challenge token, then request the full stat
+    async performQuery(ip, port) {
+        const socket = dgram.createSocket(net.isIPv6(ip) ? 'udp6' : 'udp4');
+        const sessionId = crypto.randomBytes(4).readInt32BE(0);
+
+        const request = (packet) => new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                socket.removeListener('message', onMessage);
+                reject(new Error('Query timed out'));
+            }, this.config.timeout);
+
+            const onMessage = (message, remote) => {
+                if (remote.address !== ip) return;
+                clearTimeout(timeout);
+                socket.removeListener('message', onMessage);
+                resolve(message);
+            };
+
+            socket.on('message', onMessage);
+            socket.send(packet, port, ip, (error) => {
+                if (error) {
+                    clearTimeout(timeout);
+                    socket.removeListener('message', onMessage);
+                    reject(error);
+                }
+            });
+        });
+
+        socket.on('error', () => {});
+
+        try {
+            const challenge = parseHandshakeResponse(await request(createHandshakeRequest(sessionId)), sessionId);
+            return parseFullStatResponse(await request(createFullStatRequest(sessionId, challenge)), sessionId);
+        } finally {
+            socket.close();
+        }
+    }
+
+    // Query is an optional extra: failures leave the status result untouched
+    async mergeQueryInfo(serverInfo) {
+        try {
+            const { values, players } = await this.performQuery(serverInfo.ip, this.config.queryPort || serverInfo.port);
+            const { software, plugins } = parsePlugins(values.plugins);
+
+            serverInfo.software = applyQuerySoftware(serverInfo.software, software || values.server_mod || null);
+            serverInfo.plugins = plugins;
+            serverInfo.map = values.map || null;
+            serverInfo.gameType = values.gametype || null;
+            serverInfo.playersFull = players;
+            serverInfo.queryEnabled = true;
+        } catch (error) {
+            serverInfo.queryEnabled = false;
+            this.logger.debug(`Query failed for ${serverInfo.ip}: ${error.message}`);
+        }
+    }
+
+    createHandshakePacket(hostname, port = this.config.port) {
+        return createHandshakePacket(hostname, port, this.config.protocolVersion);
+    }
+
+    parseServerResponse(buffer) {
+        if (!buffer || buffer.length < 2) return null;
+
+        try {
+            const reader = new PacketReader();
+            reader.push(buffer);
+
+            const packet = reader.nextPacket();
+            return packet ? parseStatusResponse(packet) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    readVarInt(buffer, offset) {
+        return decodeVarInt(buffer, offset);
+    }
+
+    // 🔍 Enhanced server information gathering
+    async enhanceServerInfo(ip, rawInfo, probe = {}) {
+        const latency = probe.latency || {};
+        const versionContext = {
+            edition: probe.edition || 'java',
+            pingType: probe.pingType || 'modern',
+            clientProtocol: this.config.protocolVersion
+        };
+        const enhanced = {
+            // Basic info
+            ip,
+            hostname: probe.hostname || null,
+            srvTarget: probe.srvTarget || null,
+            port: probe.port ?? this.config.port,
+            edition: probe.edition || 'java',
+            timestamp: new Date().toISOString(),
+            pingType: probe.pingType || 'modern',
+
+            // Latency breakdown (ms); responseTime prefers the Ping/Pong RTT
+            connectTime: latency.connectTime ?? null,
+            statusTime: latency.statusTime ?? null,
+            pingTime: latency.pingTime ?? null,
+            responseTime: latency.pingTime ?? latency.statusTime ?? null,
+            
+            // Server details
+            version: this.extractVersion(rawInfo),
+            protocol: rawInfo.version?.protocol ?? 'Unknown',
+            // Canonical release (or proxy range) from the protocol and name
+            gameVersion: normalizeVersion(rawInfo.version, versionContext),
+            players: {
+                online: rawInfo.players?.online || 0,
+                max: rawInfo.players?.max || 0,
+                sample: rawInfo.players?.sample || []
+            },
+            
+            // Description: the chat component as sent, plus rendered text
+            description: rawInfo.description ?? null,
+            motd: this.extractMOTD(rawInfo),
+            motdHtml: renderHtml(rawInfo.description ?? ''),
+            
+            // Advanced features
+            favicon: null,
+            software: fingerprintServer(rawInfo, versionContext),
+            
+            // Geolocation from local MMDB files (if enabled and present)
+            country: 'Unknown',
+            countryCode: null,
+            city: null,
+            latitude: null,
+            longitude: null,
+            asn: null,
+            org: null,
+            hostingProvider: null,
+            networkType: 'unknown',
+
+            // Network ID, shared by every address with the same response
+            network: null,
+            
+            // Quality metrics
+            qualityScore: 0,
+            
+            // Raw data for analysis
+            raw: JSON.stringify(rawInfo)
+        };
+
+        // Bedrock-only details from the Unconnected Pong
+        if (rawInfo.bedrock) {
+            enhanced.bedrock = rawInfo.bedrock;
+        }
+
+        // Icon bytes go to the content-addressed cache; records keep the hashes
+        if (rawInfo.favicon) {
+            try {
+                enhanced.favicon = await this.faviconStore.store(rawInfo.favicon);
+            } catch (error) {
+                // Cache not writable, keep the server without its icon
+            }
+        }
+
+        // Add geolocation: local lookups only, nothing leaves the machine
+        if (this.config.enableGeolocation && this.geoip) {
+            Object.assign(enhanced, this.geoip.lookup(ip));
+        }
+
+        // Hosting provider from the address, ASN and org
+        if (this.hostingClassifier) {
+            Object.assign(enhanced, this.hostingClassifier.classify(enhanced));
+        }
+
+        // Calculate quality score
+        enhanced.qualityScore = this.calculateQualityScore(enhanced);
+
+        return enhanced;
+    }
+
+    extractVersion(rawInfo) {
+        if (rawInfo.version?.name) {
+            return rawInfo.version.name;
+        }
+        return 'Unknown';
+    }
+
+    extractDescription(rawInfo) {
+        const text = renderPlain(rawInfo.description ?? '');
+        return text.trim() ? text : 'No description';
+    }
+
+    extractMOTD(rawInfo) {
+        // Components and § codes rendered down to the visible text
+        return this.extractDescription(rawInfo).trim();
+    }
+
+    calculateQualityScore(serverInfo) {
+        let score = 0;
+
+        // Player count bonus: the 7-day average once monitoring has history,
+        // otherwise whatever this one ping saw
+        const activity = serverInfo.activity;
+        const players = activity?.averagePlayers ?? serverInfo.players.online;
+        let playerScore = 0;
+        if (players > 0) playerScore += 20;
+        if (players > 10) playerScore += 20;
+        if (players > 50) playerScore += 20;
+
+        // Servers that are often down lose the bonus in proportion
+        score += Math.round(playerScore * (activity?.uptime ?? 1));
+
+        // Description quality
+        if (serverInfo.motd && serverInfo.motd.length > 10) score += 15;
+
+        // Version recency, against the newest release in the protocol table
+        if (isRecentVersion(serverInfo.gameVersion?.max)) score += 15;
+
+        // Response time
+        if (serverInfo.responseTime !== null && serverInfo.responseTime < 100) score += 10;
+
+        return Math.min(score, 100);
+    }
+
+    // 🔍 Filtering system
+    passesFilters(serverInfo) {
+        // Version filter: ranges like ">=1.20 <1.21" against the normalized version
+        if (this.config.versionFilter && !matchesVersionFilter(serverInfo.gameVersion, this.config.versionFilter)) {
+            return false;
+        }
+
+        // Location filters need the MMDB files; unknown locations never match
+        if (this.countryFilter && !GeoIP.matchesCountryFilter(serverInfo, this.countryFilter)) {
+            return false;
+        }
+
+        if (this.asnFilter && !GeoIP.matchesAsnFilter(serverInfo, this.asnFilter)) {
+            return false;
+        }
+
+        // Player count filters
+        if (serverInfo.players.online < this.config.minPlayers) {
+            return false;
+        }
+
+        if (serverInfo.players.online > this.config.maxPlayers) {
+            return false;
+        }
+
+        return true;
+    }
+
+    // Failed probes go back through the deferral queue with a growing backoff
+    // instead of sleeping inside the probe
+    scheduleRetry(target, attempt, edition) {
+        if (!this.rateLimiter) return;
+        this.rateLimiter.defer({ ...target, edition, attempt }, 500 * attempt);
+    }
+
+    // ⚡ Rate limiting
+    setupRateLimiter() {
+        this.rateLimiter = new RateLimiter({
+            packetsPerSecond: this.config.packetsPerSecond,
+            burst: this.config.packetBurst,
+            prefixBudgets: this.config.prefixBudgets,
+            networkBudgets: this.config.networkBudgets,
+            // Workers split every budget; each starts its turn at a different point
+            phase: this.shard ? this.shard.index / this.shard.count : 0
+        });
+    }
+
+    // One probe per configured edition; a retry re-probes a single edition
+    getProbeCost(entry) {
+        return entry && entry.edition ? 1 : this.config.editions.length;
+    }
+
+    // Per-network budgets are checked once the address is known; a limited
+    // target goes back in line instead of being dropped
+    acquireProbeBudget(target) {
+        const wait = this.rateLimiter.acquire(target.ip, this.getProbeCost(target));
+        if (wait === 0) return true;
+
+        this.rateLimiter.defer(target, wait);
+        this.stats.rateLimited++;
+        return false;
+    }
+
+    // 💾 Data persistence
+    async setupStore() {
+        if (this.store) return;
+
+        this.store = createServerStore(this.config);
+        await this.store.open();
+        this.logger.info(`🗄️ Storage: ${this.config.storage}`);
+    }
+
+    async setupPlayerIndex() {
+        if (this.playerIndex || !this.config.trackPlayers) return;
+
+        this.playerIndex = new PlayerIndex({
+            stateFile: path.join(os.homedir(), '.minecraft-scanner', 'players.json')
+        });
+        await this.playerIndex.load();
+    }
+
+    // Every successful ping updates the player, favicon and network indexes,
+    // including re-sightings of known servers
+    indexSighting(serverInfo) {
+        const key = serverKey(serverInfo);
+        this.playerIndex?.record(key, serverInfo);
+        this.faviconStore.record(key, serverInfo);
+        serverInfo.network = this.networkIndex.record(key, serverInfo);
+    }
+
+    // First address seen for its network (or a server with a stock response)
+    isNewNetwork(serverInfo) {
+        if (!serverInfo.network) return true;
+        return (this.networkIndex.networkOf(serverKey(serverInfo))?.members.size ?? 1) <= 1;
     }
 
-    async loadJSONFile(filename) {
+    async saveServer(serverInfo) {
         try {
-            const data = await fs.readFile(filename, 'utf8');
-            return JSON.parse(data);
+            // Buffered; the store writes in batches
+            await this.store.saveServer(serverInfo, this.scanId);
+            
+            // Update statistics
+            this.updateServerStats(serverInfo);
+
         } catch (error) {
-            return { servers: [], lastUpdated: new Date().toISOString() };
+            this.logger.error(`Failed to save server ${serverInfo.ip}: ${error.message}`);
         }
     }
 
     updateServerStats(serverInfo) {
+        // A network answering on many addresses counts once
+        const newNetwork = this.isNewNetwork(serverInfo);
+        if (newNetwork) this.stats.networksFound++;
+
         // Update version statistics
-        const versionCount = this.stats.serversByVersion.get(serverInfo.version) || 0;
-        this.stats.serversByVersion.set(serverInfo.version, versionCount + 1);
+        const versionLabel = serverInfo.gameVersion?.label || serverInfo.version;
+        const versionCount = this.stats.serversByVersion.get(versionLabel) || 0;
+        this.stats.serversByVersion.set(versionLabel, versionCount + 1);
+
+        // Update edition statistics
+        const editionCount = this.stats.serversByEdition.get(serverInfo.edition) || 0;
+        this.stats.serversByEdition.set(serverInfo.edition, editionCount + 1);
 
         // Update country statistics
         const countryCount = this.stats.serversByCountry.get(serverInfo.country) || 0;
         this.stats.serversByCountry.set(serverInfo.country, countryCount + 1);
 
+        // Update hosting provider statistics; unlisted networks count by type
+        const provider = serverInfo.hostingProvider || `(${serverInfo.networkType || 'unknown'})`;
+        const providerCount = this.stats.serversByProvider.get(provider) || 0;
+        this.stats.serversByProvider.set(provider, providerCount + 1);
+
         // Update player count statistics
         const playerRange = this.getPlayerCountRange(serverInfo.players.online);
         const playerCount = this.stats.serversByPlayerCount.get(playerRange) || 0;
         this.stats.serversByPlayerCount.set(playerRange, playerCount + 1);
 
-        // Update MOTD statistics
-        if (serverInfo.motd && serverInfo.motd.length > 5) {
+        // Update MOTD statistics, once per network
+        if (newNetwork && serverInfo.motd && serverInfo.motd.length > 5) {
             const motdCount = this.stats.popularMOTDs.get(serverInfo.motd) || 0;
             if (motdCount < 10) { // Don't store too many
                 this.stats.popularMOTDs.set(serverInfo.motd, motdCount + 1);
             }
         }
 
-        // Update best server
-        if (!this.stats.bestServer || serverInfo.qualityScore > this.stats.bestServer.qualityScore) {
-            this.stats.bestServer = serverInfo;
-        }
+        this.updateBestServer(serverInfo);
 
         // Set as last found
         this.stats.lastFoundServer = serverInfo;
     }
 
+    // A re-checked server replaces its own older entry even if it scored lower
+    updateBestServer(serverInfo) {
+        const best = this.stats.bestServer;
+        const sameServer = best && this.getCacheKey(best) === this.getCacheKey(serverInfo) && best.edition === serverInfo.edition;
+
+        if (!best || sameServer || serverInfo.qualityScore > best.qualityScore) {
+            this.stats.bestServer = serverInfo;
+        }
+    }
+
     getPlayerCountRange(playerCount) {
         if (playerCount === 0) return '0 players';
         if (playerCount <= 5) return '1-5 players';
@@ -877,6 +1687,12 @@ class AdvancedMinecraftScanner extends EventEmitter {
     }
 
     // 📊 Statistics and performance monitoring
+    recordLatency(latency) {
+        this.latencyTrackers.connect.add(latency.connectTime);
+        this.latencyTrackers.status.add(latency.statusTime);
+        this.latencyTrackers.ping.add(latency.pingTime);
+    }
+
     updateStatistics() {
         const now = Date.now();
         this.stats.uptime = now - this.stats.startTime;
@@ -894,6 +1710,22 @@ class AdvancedMinecraftScanner extends EventEmitter {
         if (currentRate > this.stats.peakScanRate) {
             this.stats.peakScanRate = currentRate;
         }
+
+        // Latency percentiles over the rolling window
+        for (const [phase, tracker] of Object.entries(this.latencyTrackers)) {
+            this.stats.latency[phase] = tracker.summary();
+        }
+
+        const { ping, status } = this.stats.latency;
+        this.stats.avgResponseTime = ping.samples > 0 ? ping.avg : status.avg;
+
+        if (this.coordinator) {
+            const gauges = this.coordinator.shards.map(shard => shard.gauges);
+            this.stats.activeConnections = gauges.reduce((sum, gauge) => sum + gauge.activeConnections, 0);
+            this.stats.rateLimits = RateLimiter.mergeSnapshots(gauges.map(gauge => gauge.rateLimits));
+        } else {
+            this.stats.rateLimits = this.rateLimiter ? this.rateLimiter.snapshot(now) : null;
+        }
     }
 
     // 🎨 Enhanced dashboard display
@@ -913,25 +1745,88 @@ class AdvancedMinecraftScanner extends EventEmitter {
         
         console.log(chalk.cyan('║') + chalk.white(' 📊 STATISTICS') + chalk.cyan(' '.repeat(60) + '║'));
         console.log(chalk.cyan('║') + chalk.white(` Total Scanned: ${chalk.green(this.stats.totalScanned.toLocaleString().padEnd(15))} Servers Found: ${chalk.yellow(this.stats.totalFound.toLocaleString())}`).padEnd(87) + chalk.cyan('║'));
+        console.log(chalk.cyan('║') + chalk.white(` Networks: ${chalk.yellow(this.stats.networksFound.toLocaleString().padEnd(20))} Extra Addresses: ${chalk.gray(Math.max(0, this.stats.totalFound - this.stats.networksFound).toLocaleString())}`).padEnd(87) + chalk.cyan('║'));
         console.log(chalk.cyan('║') + chalk.white(` Scan Rate: ${chalk.blue(Math.round(this.stats.avgScanRate).toString().padEnd(8))} IPs/sec Success Rate: ${chalk.magenta(this.stats.successRate.toFixed(2))}%`).padEnd(87) + chalk.cyan('║'));
         console.log(chalk.cyan('║') + chalk.white(` Uptime: ${chalk.cyan(uptime.padEnd(18))} Memory: ${chalk.red(memUsage)}MB`).padEnd(87) + chalk.cyan('║'));
         console.log(chalk.cyan('║') + chalk.white(` Active Scans: ${chalk.blue(this.stats.activeConnections.toString().padEnd(12))} Peak Rate: ${chalk.green(Math.round(this.stats.peakScanRate))} IPs/sec`).padEnd(87) + chalk.cyan('║'));
+        if (this.coordinator) {
+            console.log(chalk.cyan('║') + chalk.white(` Workers: ${chalk.blue(`${this.coordinator.activeWorkers}/${this.config.workerCount}`)}`).padEnd(77) + chalk.cyan('║'));
+        }
 
         // Network statistics
         console.log(chalk.cyan('╠' + '═'.repeat(78) + '╣'));
         console.log(chalk.cyan('║') + chalk.white(' 🌐 NETWORK STATUS') + chalk.cyan(' '.repeat(57) + '║'));
         console.log(chalk.cyan('║') + chalk.white(` Timeouts: ${chalk.yellow(this.stats.timeoutCount.toLocaleString().padEnd(15))} Errors: ${chalk.red(this.stats.connectionErrors.toLocaleString())}`).padEnd(87) + chalk.cyan('║'));
+        console.log(chalk.cyan('║') + chalk.white(` Blocklisted: ${chalk.yellow(this.stats.blockedSkipped.toLocaleString().padEnd(12))} Opt-out entries: ${chalk.cyan((this.blocklist?.entries.length || 0).toLocaleString())}`).padEnd(87) + chalk.cyan('║'));
         console.log(chalk.cyan('║') + chalk.white(` Avg Response: ${chalk.blue((this.stats.avgResponseTime || 0).toFixed(0))}ms`.padEnd(25) + ` Cache Size: ${chalk.cyan(this.serverCache.size.toLocaleString())}`).padEnd(87) + chalk.cyan('║'));
+        if (this.playerIndex) {
+            console.log(chalk.cyan('║') + chalk.white(` Players Indexed: ${chalk.cyan(this.playerIndex.players.size.toLocaleString().padEnd(9))} On Servers: ${chalk.cyan(this.playerIndex.servers.size.toLocaleString())}`).padEnd(87) + chalk.cyan('║'));
+        }
+
+        const rateLimits = this.stats.rateLimits;
+        if (rateLimits) {
+            const prefixes = rateLimits.prefixes.map(prefix => `${prefix.name} ${chalk.red(prefix.exhausted)}/${prefix.tracked}`).join('  ');
+            console.log(chalk.cyan('║') + chalk.white(` Tokens: ${chalk.green(rateLimits.global.level)}/${rateLimits.global.capacity}  ${prefixes}  Deferred: ${chalk.yellow(rateLimits.deferred.toLocaleString())}`).padEnd(97) + chalk.cyan('║'));
+            for (const network of rateLimits.networks) {
+                console.log(chalk.cyan('║') + chalk.white(` Budget ${network.name.substring(0, 30)}: ${chalk.green(network.level)}/${network.capacity}`).padEnd(77) + chalk.cyan('║'));
+            }
+        }
+
+        if (this.monitor) {
+            const counts = this.monitor.counts();
+            console.log(chalk.cyan('║') + chalk.white(` Monitored: ${chalk.cyan(this.monitor.size.toLocaleString().padEnd(9))} Online: ${chalk.green(counts.online.toLocaleString().padEnd(8))} Offline: ${chalk.red(counts.offline.toLocaleString().padEnd(8))} Unchecked: ${chalk.gray(counts.unknown.toLocaleString())}`).padEnd(107) + chalk.cyan('║'));
+        }
+
+        const pingLatency = this.stats.latency.ping;
+        if (pingLatency && pingLatency.samples > 0) {
+            console.log(chalk.cyan('║') + chalk.white(` Ping p50: ${chalk.blue(pingLatency.p50)}ms  p95: ${chalk.yellow(pingLatency.p95)}ms  p99: ${chalk.red(pingLatency.p99)}ms  Connect avg: ${chalk.blue(this.stats.latency.connect.avg)}ms`).padEnd(107) + chalk.cyan('║'));
+        }
 
         // Last found server
         if (this.stats.lastFoundServer) {
             console.log(chalk.cyan('╠' + '═'.repeat(78) + '╣'));
             console.log(chalk.cyan('║') + chalk.green(' 🎯 LAST DISCOVERED SERVER') + chalk.cyan(' '.repeat(48) + '║'));
             const server = this.stats.lastFoundServer;
-            console.log(chalk.cyan('║') + chalk.white(` IP: ${chalk.green(server.ip.padEnd(18))} Version: ${chalk.yellow(server.version)}`).padEnd(87) + chalk.cyan('║'));
+            const editionLabel = server.edition === 'bedrock' ? ' (Bedrock)' : '';
+            console.log(chalk.cyan('║') + chalk.white(` IP: ${chalk.green(formatHostPort(server.ip, server.port).padEnd(24))} Version: ${chalk.yellow(server.version + editionLabel)}`).padEnd(87) + chalk.cyan('║'));
+            if (server.hostname) {
+                console.log(chalk.cyan('║') + chalk.white(` Host: ${chalk.green(`${server.hostname}:${server.port}`)}`).padEnd(87) + chalk.cyan('║'));
+            }
+            if (server.software) {
+                const softwareLabel = `${server.software.name}${server.software.version ? ` ${server.software.version}` : ''}`;
+                console.log(chalk.cyan('║') + chalk.white(` Software: ${chalk.yellow(softwareLabel.substring(0, 40))} (${server.software.confidence}${server.software.mods.length > 0 ? `, ${server.software.mods.length} mods` : ''})`).padEnd(87) + chalk.cyan('║'));
+            }
             console.log(chalk.cyan('║') + chalk.white(` Players: ${chalk.blue(`${server.players.online}/${server.players.max}`.padEnd(12))} Quality: ${chalk.magenta(server.qualityScore)}/100`).padEnd(87) + chalk.cyan('║'));
-            console.log(chalk.cyan('║') + chalk.white(` MOTD: ${chalk.gray(server.motd.substring(0, 45))}`).padEnd(87) + chalk.cyan('║'));
-            console.log(chalk.cyan('║') + chalk.white(` Country: ${chalk.cyan(server.country.padEnd(15))} Response: ${chalk.blue(server.responseTime)}ms`).padEnd(87) + chalk.cyan('║'));
+            // Rendered in the server's own colours; padded by visible length
+            const motd = server.description ? renderAnsi(server.description, { singleLine: true, maxLength: 45 }) : chalk.gray(server.motd.substring(0, 45));
+            const motdLength = renderPlain(server.description ?? server.motd).replace(/\n/g, ' ').substring(0, 45).length;
+            console.log(chalk.cyan('║') + chalk.white(' MOTD: ') + motd + ' '.repeat(Math.max(0, 71 - motdLength)) + chalk.cyan('║'));
+            console.log(chalk.cyan('║') + chalk.white(` Country: ${chalk.cyan(server.country.padEnd(15))} Response: ${chalk.blue(server.responseTime ?? '?')}ms`).padEnd(87) + chalk.cyan('║'));
+            if (server.asn !== null && server.asn !== undefined) {
+                const network = `AS${server.asn}${server.org ? ` ${server.org}` : ''}${server.city ? `  (${server.city})` : ''}`;
+                console.log(chalk.cyan('║') + chalk.white(` Network: ${chalk.cyan(network.substring(0, 66))}`).padEnd(87) + chalk.cyan('║'));
+            }
+            if (server.hostingProvider || (server.networkType && server.networkType !== 'unknown')) {
+                const hosting = `${server.hostingProvider || 'Unlisted'} (${server.networkType})`;
+                console.log(chalk.cyan('║') + chalk.white(` Hosting: ${chalk.cyan(hosting.substring(0, 66))}`).padEnd(87) + chalk.cyan('║'));
+            }
+        }
+
+        // Best server, with activity from monitor mode re-checks
+        const best = this.stats.bestServer;
+        if (best?.activity) {
+            const activity = best.activity;
+            const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+            const formatTrend = trend => (trend.change === null ? '-' : `${trend.change > 0 ? '+' : ''}${trend.change}%`);
+            const busiestHour = activity.busiestHour === null ? '-' : `${String(activity.busiestHour).padStart(2, '0')}:00 UTC`;
+            const busiestDay = activity.busiestWeekday === null ? '-' : weekdays[activity.busiestWeekday];
+            const uptime = activity.uptime === null ? '-' : `${(activity.uptime * 100).toFixed(1)}%`;
+
+            console.log(chalk.cyan('╠' + '═'.repeat(78) + '╣'));
+            console.log(chalk.cyan('║') + chalk.white(' 🏆 BEST SERVER') + chalk.cyan(' '.repeat(59) + '║'));
+            console.log(chalk.cyan('║') + chalk.white(` ${chalk.green((best.hostname || formatHostPort(best.ip, best.port)).substring(0, 40).padEnd(41))} Quality: ${chalk.magenta(best.qualityScore)}/100`).padEnd(87) + chalk.cyan('║'));
+            console.log(chalk.cyan('║') + chalk.white(` Players: ${chalk.blue(String(activity.current ?? '-').padEnd(6))} 7d avg: ${chalk.blue(String(activity.averagePlayers ?? '-').padEnd(8))} Peak: ${chalk.green(activity.peak?.online ?? '-')}  Uptime: ${chalk.cyan(uptime)}`).padEnd(117) + chalk.cyan('║'));
+            console.log(chalk.cyan('║') + chalk.white(` Busiest: ${chalk.yellow(`${busiestDay} ${busiestHour}`.padEnd(18))} Trend 7d: ${chalk.magenta(formatTrend(activity.trend7d))}  30d: ${chalk.magenta(formatTrend(activity.trend30d))}`).padEnd(107) + chalk.cyan('║'));
         }
 
         // Top statistics
@@ -946,6 +1841,22 @@ class AdvancedMinecraftScanner extends EventEmitter {
             topVersions.forEach(([version, count]) => {
                 console.log(chalk.cyan('║') + chalk.white(` ${version.padEnd(20)} ${chalk.green(count.toString())} servers`).padEnd(87) + chalk.cyan('║'));
             });
+
+            if (this.stats.serversByEdition.size > 1) {
+                const editions = Array.from(this.stats.serversByEdition.entries())
+                    .map(([edition, count]) => `${edition}: ${count}`)
+                    .join('  ');
+                console.log(chalk.cyan('║') + chalk.white(` Editions: ${chalk.cyan(editions)}`).padEnd(87) + chalk.cyan('║'));
+            }
+
+            if (this.stats.serversByProvider.size > 0) {
+                const providers = Array.from(this.stats.serversByProvider.entries())
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, 3)
+                    .map(([provider, count]) => `${provider}: ${count}`)
+                    .join('  ');
+                console.log(chalk.cyan('║') + chalk.white(` Providers: ${chalk.cyan(providers.substring(0, 64))}`).padEnd(87) + chalk.cyan('║'));
+            }
         }
 
         // Controls
@@ -953,9 +1864,12 @@ class AdvancedMinecraftScanner extends EventEmitter {
         console.log(chalk.cyan('║') + chalk.white(' ⌨️  CONTROLS: ') + chalk.gray('[P] Pause/Resume  [S] Save  [Q] Quit  [R] Reset Stats') + chalk.cyan(' '.repeat(8) + '║'));
         console.log(chalk.cyan('╚' + '═'.repeat(78) + '╝'));
 
-        // Progress bar
-        if (this.config.maxScans !== Infinity) {
-            const progress = Math.min(100, (this.stats.totalScanned / this.config.maxScans) * 100);
+        // Progress bar: true coverage for finite target spaces, else maxScans
+        const coverage = this.getScanProgress();
+        if (coverage || this.config.maxScans !== Infinity) {
+            const progress = coverage
+                ? coverage.ratio * 100
+                : Math.min(100, (this.stats.totalScanned / this.config.maxScans) * 100);
             const filledBars = Math.round(progress / 2);
             const emptyBars = 50 - filledBars;
             
@@ -988,21 +1902,12 @@ class AdvancedMinecraftScanner extends EventEmitter {
             await this.initialize();
             this.logger.success('🚀 Starting scan operation...');
 
-            while (this.isRunning && !this.shouldStop && this.stats.totalScanned < this.config.maxScans) {
-                if (this.isPaused) {
-                    await this.delay(1000);
-                    continue;
-                }
-
-                await this.performScanBatch();
-                
-                // Performance maintenance
-                if (this.stats.totalScanned % 50000 === 0) {
-                    await this.performMaintenance();
-                }
-                
-                // Brief pause to prevent overwhelming
-                await this.delay(10);
+            if (this.monitor) {
+                await this.runMonitor();
+            } else if (this.config.workerCount > 1) {
+                await this.runCluster();
+            } else {
+                await this.runProbePool();
             }
 
             await this.shutdown();
@@ -1013,38 +1918,365 @@ class AdvancedMinecraftScanner extends EventEmitter {
         }
     }
 
-    async performScanBatch() {
-        const batchPromises = [];
-        
-        for (let i = 0; i < this.config.batchSize && this.stats.activeConnections < this.config.maxConcurrent; i++) {
-            const ip = this.generateSmartIP();
-            if (!ip || this.serverCache.has(ip)) continue;
+    async runProbePool() {
+        this.probePool = new ProbePool({
+            concurrency: this.config.maxConcurrent,
+            pull: () => this.pullScan(),
+            run: entry => this.scanSingleServer(entry)
+        });
+
+        this.probePool.on('settled', () => {
+            // Performance maintenance
+            if (this.role !== 'worker' && this.stats.totalScanned - this.lastMaintenanceScan >= 50000) {
+                this.lastMaintenanceScan = this.stats.totalScanned;
+                this.performMaintenance().catch(error => {
+                    this.logger.error(`❌ Maintenance failed: ${error.message}`);
+                });
+            }
+        });
+        this.probePool.on('error', (error) => {
+            this.stats.errorsEncountered++;
+            this.logger.debug(`❌ Probe pool error: ${error.message}`);
+        });
 
-            const scanPromise = this.scanSingleServer(ip);
-            batchPromises.push(scanPromise);
+        if (this.isPaused) this.probePool.pause();
+        await this.probePool.start();
+    }
+
+    // Runs until stopped: each server is re-checked when its interval comes up
+    async runMonitor() {
+        this.probePool = new ProbePool({
+            concurrency: this.config.maxConcurrent,
+            pull: () => this.pullMonitorCheck(),
+            run: state => this.checkKnownServer(state),
+            pollInterval: 250
+        });
+
+        this.probePool.on('error', (error) => {
+            this.stats.errorsEncountered++;
+            this.logger.debug(`❌ Probe pool error: ${error.message}`);
+        });
+
+        if (this.isPaused) this.probePool.pause();
+        await this.probePool.start();
+    }
+
+    pullMonitorCheck() {
+        if (this.shouldStop || !this.isRunning || this.stats.totalScanned >= this.config.maxScans) {
+            return ProbePool.DONE;
         }
 
-        if (batchPromises.length > 0) {
-            await Promise.allSettled(batchPromises);
+        const state = this.monitor.nextDue();
+        if (!state) return null;
+
+        if (!this.rateLimiter.takeGlobal(1)) {
+            this.monitor.schedule(state, state.nextCheckAt);
+            return null;
         }
+        return state;
     }
 
-    async scanSingleServer(ip) {
+    async checkKnownServer(state) {
+        const name = state.hostname || formatHostPort(state.ip, state.port);
+        let probing = false;
+        let serverInfo = null;
+
         try {
+            // Names are resolved on every check so moved servers are followed.
+            // A stored port is the one that answered; SRV records are Java-only.
+            const target = state.hostname
+                ? await resolveTarget({
+                    host: state.hostname,
+                    port: state.port,
+                    explicitPort: state.explicitPort || state.edition === 'bedrock'
+                })
+                : { ...this.createTarget(state.ip, state.port), explicitPort: true };
+
+            if (!this.isPublicIP(target.ip) || this.isBlocked(target.ip)) {
+                this.stats.blockedSkipped++;
+                this.monitor.remove(state.key);
+                this.logger.debug(`🛑 No longer monitoring ${name}: ${target.ip} is excluded or blocklisted`);
+                return;
+            }
+
+            const wait = this.rateLimiter.acquire(target.ip);
+            if (wait > 0) {
+                this.stats.rateLimited++;
+                this.monitor.schedule(state, Date.now() + wait);
+                return;
+            }
+
+            probing = true;
             this.stats.totalScanned++;
-            const serverInfo = await this.checkMinecraftServer(ip);
+            if (this.session) this.session.counters.totalScanned++;
+            serverInfo = await this.probeKnownServer(target, state.edition);
+        } catch (error) {
+            // Resolution failures count as a failed check
+            probing = true;
+            this.logger.debug(`❌ Error checking ${name}: ${error.message}`);
+        } finally {
+            if (!probing) this.rateLimiter.refundGlobal(1);
+        }
+
+        if (!probing) return;
+
+        this.monitor.recordCheck(state, serverInfo);
+        if (serverInfo) {
+            // Score on sustained activity rather than this one ping
+            serverInfo.activity = this.monitor.activity(state);
+            serverInfo.qualityScore = this.calculateQualityScore(serverInfo);
+            this.updateBestServer(serverInfo);
+            this.indexSighting(serverInfo);
+
+            await this.store.recordObservation(serverInfo, this.scanId);
+        }
+    }
+
+    // A single status ping with no retries or filters; a miss counts toward
+    // the offline threshold instead
+    async probeKnownServer(target, edition) {
+        this.stats.activeConnections++;
+
+        try {
+            const pingResult = edition === 'bedrock'
+                ? await this.performBedrockPing(target)
+                : await this.performJavaPing(target);
+
+            if (pingResult?.failure) this.countProbeFailure(pingResult.failure);
+            if (!pingResult?.status) return null;
+
+            this.recordLatency(pingResult.latency);
+            return await this.enhanceServerInfo(target.ip, pingResult.status, {
+                ...pingResult,
+                hostname: target.hostname,
+                srvTarget: target.srvTarget
+            });
+        } catch (error) {
+            this.stats.connectionErrors++;
+            return null;
+        } finally {
+            this.stats.activeConnections--;
+        }
+    }
+
+    // 🧵 Multi-process mode: workers probe their shard, this process owns
+    // dedupe, persistence, the session and the dashboard
+    async runCluster() {
+        this.role = 'primary';
+        this.coordinator = new ClusterCoordinator({
+            workerCount: this.config.workerCount,
+            config: this.config,
+            seed: this.scanSeed,
+            shards: this.session?.shards,
+            exec: __filename
+        });
+
+        this.coordinator.on('result', (serverInfo) => {
+            this.recordFoundServer(serverInfo);
+        });
+        this.coordinator.on('progress', (shard, counters) => {
+            this.mergeWorkerCounters(counters);
+        });
+        this.coordinator.on('workerCrashed', (shard, code, signal) => {
+            this.logger.warn(`⚠️ Worker for shard ${shard.index} exited (${signal || code}), restarting from its last checkpoint`);
+        });
+        this.coordinator.on('shardFailed', (shard) => {
+            this.logger.error(`❌ Shard ${shard.index} kept crashing, giving up on it`);
+        });
+
+        this.logger.info(`🧵 Starting ${this.config.workerCount} scan workers`);
+        await this.coordinator.start();
+
+        this.targetsExhausted = this.coordinator.shards.every(shard => shard.done);
+    }
+
+    mergeWorkerCounters(counters = {}) {
+        for (const key of WORKER_COUNTERS) {
+            this.stats[key] += counters[key] || 0;
+        }
+        if (this.session) this.session.counters.totalScanned += counters.totalScanned || 0;
+
+        if (this.stats.totalScanned >= this.config.maxScans && !this.coordinator.stopping) {
+            this.logger.info('🏁 Scan limit reached, stopping workers');
+            this.coordinator.stop();
+        }
+    }
+
+    // 🧵 Worker process: scan one shard and stream results, counters and
+    // checkpoints back to the primary
+    async startWorker(assignment, report) {
+        this.role = 'worker';
+        this.reportToPrimary = report;
+        this.shard = assignment.shard;
+        this.config.scanSeed = assignment.seed;
+
+        this.setupBlocklist();
+        this.setupRateLimiter();
+        await this.setupGeolocation();
+        this.setupHostingClassifier();
+        await this.loadTargets();
+        this.setupTargetGenerator();
+        if (assignment.state) {
+            this.targetGenerator.restore(assignment.state);
+        }
+        this.scanQueue.push(...(assignment.inFlight || []));
+
+        this.intervals.set('rateLimiter', setInterval(() => this.rateLimiter.cleanup(), 60000));
+        this.intervals.set('report', setInterval(() => this.reportProgress(MESSAGE.PROGRESS), 1000));
+
+        this.stats.startTime = Date.now();
+        this.isRunning = true;
+        await this.runProbePool();
+
+        this.intervals.forEach(intervalId => clearInterval(intervalId));
+        this.blocklist.close();
+
+        const finished = this.targetsExhausted && this.pendingTargets().length === 0;
+        await this.reportProgress(finished ? MESSAGE.DONE : MESSAGE.PROGRESS);
+    }
+
+    stopWorker() {
+        this.shouldStop = true;
+        this.probePool?.stop();
+    }
+
+    // Counters go up as deltas so a restarted worker never double counts
+    reportProgress(type) {
+        const counters = {};
+        for (const key of WORKER_COUNTERS) {
+            counters[key] = this.stats[key] - (this.reportedCounters[key] || 0);
+            this.reportedCounters[key] = this.stats[key];
+        }
+
+        return this.reportToPrimary({
+            type,
+            counters,
+            state: this.targetGenerator.getState(),
+            inFlight: this.pendingTargets(),
+            progress: this.serializeProgress(this.targetGenerator.progress),
+            gauges: {
+                activeConnections: this.stats.activeConnections,
+                rateLimits: this.rateLimiter.snapshot()
+            }
+        });
+    }
+
+    // Feeds the probe pool: a target, null while waiting on budgets, or DONE
+    pullScan() {
+        if (this.shouldStop || !this.isRunning || this.stats.totalScanned >= this.config.maxScans) {
+            return ProbePool.DONE;
+        }
+
+        for (;;) {
+            const target = this.nextTarget();
+            if (!target) {
+                // Probes still in flight can schedule retries or deferrals
+                const pending = this.probePool.active + this.rateLimiter.deferred.size;
+                return this.targetsExhausted && pending === 0 ? ProbePool.DONE : null;
+            }
+            if (!target.attempt && this.serverCache.has(this.getCacheKey(target))) continue;
+
+            // Global packet budget is spent up front and refunded if the target is skipped
+            if (!this.rateLimiter.takeGlobal(this.getProbeCost(target))) {
+                this.scanQueue.unshift(target);
+                return null;
+            }
+
+            return target;
+        }
+    }
+
+    async scanSingleServer(entry) {
+        const label = typeof entry === 'string' ? entry : (entry.hostname || entry.host || entry.ip);
+
+        // Tracked so a checkpoint can requeue probes that never finished
+        this.activeScans.set(label, entry);
+
+        let probing = false;
+
+        try {
+            const target = await this.resolveScanTarget(entry);
+
+            // Hostnames can resolve into excluded space
+            if (!this.isPublicIP(target.ip)) {
+                this.logger.debug(`🚫 Skipping excluded address ${target.ip} for ${label}`);
+                return;
+            }
+
+            if (this.isBlocked(target.ip)) {
+                this.stats.blockedSkipped++;
+                this.logger.debug(`🛑 Skipping blocklisted address ${target.ip} for ${label}`);
+                return;
+            }
+
+            if (!this.acquireProbeBudget(target)) {
+                this.logger.debug(`⏳ Deferring ${label}: network budget exhausted`);
+                return;
+            }
+
+            probing = true;
+            if (!entry.attempt) {
+                this.stats.totalScanned++;
+                if (this.session) this.session.counters.totalScanned++;
+            }
+
+            // Probe every configured edition; a host may run both. Retries
+            // carry the single edition that failed.
+            const editions = target.edition ? [target.edition] : this.config.editions;
+            const results = await Promise.all(
+                editions.map(edition => this.checkMinecraftServer(target, target.attempt || 0, edition))
+            );
             
-            if (serverInfo) {
-                await this.saveServer(serverInfo);
-                this.stats.totalFound++;
-                this.logger.success(`🎯 Found server: ${ip} (${serverInfo.version}) - ${serverInfo.players.online} players`);
-                this.emit('serverFound', serverInfo);
+            for (const serverInfo of results.filter(Boolean)) {
+                if (this.role === 'worker') {
+                    this.reportToPrimary({ type: MESSAGE.RESULT, server: serverInfo });
+                } else {
+                    await this.recordFoundServer(serverInfo);
+                }
             }
             
         } catch (error) {
             this.stats.errorsEncountered++;
-            this.logger.debug(`❌ Error scanning ${ip}: ${error.message}`);
+            this.logger.debug(`❌ Error scanning ${label}: ${error.message}`);
+        } finally {
+            // Tokens drawn for a target that never got probed go back to the pool
+            if (!probing) this.rateLimiter.refundGlobal(this.getProbeCost(entry));
+            this.activeScans.delete(label);
+        }
+    }
+
+    // Dedupe, persist and announce a found server
+    async recordFoundServer(serverInfo) {
+        this.indexSighting(serverInfo);
+
+        const key = this.getServerKey(serverInfo);
+        if (this.recordedServers.has(key)) {
+            // Already listed: keep the sighting for the observation history only
+            this.stats.duplicatesSkipped++;
+            try {
+                await this.store.recordSighting(serverInfo, this.scanId);
+            } catch (error) {
+                this.logger.error(`Failed to record sighting of ${serverInfo.ip}: ${error.message}`);
+            }
+            return;
+        }
+        this.recordedServers.add(key);
+        // The IP (or hostname for virtual hosts): random mode and the known
+        // target check skip it from now on
+        this.serverCache.add(this.getCacheKey(serverInfo));
+
+        // Workers record latency for every response; the primary only sees finds
+        if (this.role === 'primary') {
+            this.recordLatency(serverInfo);
         }
+
+        await this.saveServer(serverInfo);
+        this.stats.totalFound++;
+        if (this.session) this.session.counters.totalFound++;
+        const address = formatHostPort(serverInfo.ip, serverInfo.port);
+        const where = serverInfo.hostname ? `${serverInfo.hostname} (${address})` : address;
+        this.logger.success(`🎯 Found ${serverInfo.edition} server: ${where} (${serverInfo.version}) - ${serverInfo.players.online} players`);
+        this.emit('serverFound', serverInfo);
     }
 
     // 🧹 Maintenance and optimization
@@ -1058,13 +2290,15 @@ class AdvancedMinecraftScanner extends EventEmitter {
         }
 
         // Clean up caches
-        this.cleanupRateLimiter();
+        this.rateLimiter.cleanup();
         
         // Trim server cache if too large
-        if (this.serverCache.size > 1000000) {
-            const cacheArray = Array.from(this.serverCache);
-            this.serverCache.clear();
-            cacheArray.slice(-500000).forEach(ip => this.serverCache.add(ip));
+        for (const cache of [this.serverCache, this.recordedServers]) {
+            if (cache.size > 1000000) {
+                const cacheArray = Array.from(cache);
+                cache.clear();
+                cacheArray.slice(-500000).forEach(key => cache.add(key));
+            }
         }
 
         // Save progress
@@ -1075,12 +2309,21 @@ class AdvancedMinecraftScanner extends EventEmitter {
 
     async saveProgress() {
         try {
+            // Pending server writes first
+            await this.store?.flush();
+            await this.monitor?.save();
+            await this.playerIndex?.save();
+            await this.faviconStore.save();
+            await this.networkIndex.save();
+
             // Save current statistics
             const statsFile = path.join(os.homedir(), '.minecraft-scanner', 'session-stats.json');
             const statsData = {
                 ...this.stats,
                 serversByVersion: Array.from(this.stats.serversByVersion.entries()),
                 serversByCountry: Array.from(this.stats.serversByCountry.entries()),
+                serversByProvider: Array.from(this.stats.serversByProvider.entries()),
+                serversByEdition: Array.from(this.stats.serversByEdition.entries()),
                 serversByPlayerCount: Array.from(this.stats.serversByPlayerCount.entries()),
                 popularMOTDs: Array.from(this.stats.popularMOTDs.entries())
             };
@@ -1088,6 +2331,9 @@ class AdvancedMinecraftScanner extends EventEmitter {
 
             // Save configuration
             await this.saveConfiguration();
+
+            // Checkpoint the session so --resume continues from here
+            await this.checkpointSession();
             
             this.logger.info('💾 Progress saved successfully');
             
@@ -1099,18 +2345,22 @@ class AdvancedMinecraftScanner extends EventEmitter {
     // 🎛️ Control functions
     pause() {
         this.isPaused = true;
+        this.probePool?.pause();
         this.logger.info('⏸️  Scanning paused');
         this.emit('paused');
     }
 
     resume() {
         this.isPaused = false;
+        this.probePool?.resume();
         this.logger.info('▶️  Scanning resumed');
         this.emit('resumed');
     }
 
     async stop() {
         this.shouldStop = true;
+        this.probePool?.stop();
+        await this.coordinator?.stop();
         this.logger.info('🛑 Stopping scanner...');
         await this.shutdown();
     }
@@ -1118,14 +2368,20 @@ class AdvancedMinecraftScanner extends EventEmitter {
     resetStats() {
         const preserveStats = {
             totalFound: this.stats.totalFound,
+            networksFound: this.stats.networksFound,
             serversByVersion: this.stats.serversByVersion,
             serversByCountry: this.stats.serversByCountry,
+            serversByProvider: this.stats.serversByProvider,
+            serversByEdition: this.stats.serversByEdition
         };
 
         this.stats = {
             totalScanned: 0,
             totalFound: preserveStats.totalFound,
+            networksFound: preserveStats.networksFound,
             duplicatesSkipped: 0,
+            blockedSkipped: 0,
+            rateLimited: 0,
             errorsEncountered: 0,
             startTime: Date.now(),
             uptime: 0,
@@ -1133,8 +2389,16 @@ class AdvancedMinecraftScanner extends EventEmitter {
             peakScanRate: 0,
             avgResponseTime: 0,
             successRate: 0,
+            latency: {
+                connect: null,
+                status: null,
+                ping: null
+            },
+            rateLimits: null,
             serversByVersion: preserveStats.serversByVersion,
             serversByCountry: preserveStats.serversByCountry,
+            serversByProvider: preserveStats.serversByProvider,
+            serversByEdition: preserveStats.serversByEdition,
             serversByPlayerCount: new Map(),
             popularMOTDs: new Map(),
             activeConnections: 0,
@@ -1146,6 +2410,9 @@ class AdvancedMinecraftScanner extends EventEmitter {
             gcCount: 0
         };
 
+        Object.values(this.latencyTrackers).forEach(tracker => tracker.reset());
+        this.lastMaintenanceScan = 0;
+
         this.logger.info('📊 Statistics reset');
     }
 
@@ -1165,8 +2432,22 @@ class AdvancedMinecraftScanner extends EventEmitter {
             this.logger.debug(`Cleared interval: ${name}`);
         }
 
+        // Stop watching blocklist files
+        this.blocklist?.close();
+
         // Save final progress
+        if (this.session) {
+            const pending = this.activeScans.size + this.scanQueue.length + this.rateLimiter.deferred.size;
+            this.session.status = this.targetsExhausted && pending === 0 ? 'completed' : 'stopped';
+        }
         await this.saveProgress();
+
+        await this.store?.finishScan(this.scanId, {
+            status: this.session?.status || 'completed',
+            totalScanned: this.stats.totalScanned,
+            totalFound: this.stats.totalFound
+        });
+        await this.store?.close();
         
         // Export final results
         await this.exportResults();
@@ -1182,6 +2463,7 @@ class AdvancedMinecraftScanner extends EventEmitter {
         this.intervals.forEach(intervalId => clearInterval(intervalId));
         
         try {
+            if (this.session) this.session.status = 'interrupted';
             await this.saveProgress();
         } catch (error) {
             this.logger.error(`Failed to save during emergency shutdown: ${error.message}`);
@@ -1191,6 +2473,25 @@ class AdvancedMinecraftScanner extends EventEmitter {
         process.exit(1);
     }
 
+    // Monitor counts, the most active servers by 7-day average, and every server's history summary
+    exportMonitorSummary() {
+        const servers = this.monitor.summary();
+        const mostActive = servers
+            .filter(server => server.activity.averagePlayers !== null)
+            .sort((a, b) => b.activity.averagePlayers - a.activity.averagePlayers)
+            .slice(0, 10)
+            .map(server => ({
+                key: server.key,
+                averagePlayers: server.activity.averagePlayers,
+                peak: server.activity.peak,
+                busiestHour: server.activity.busiestHour,
+                trend7d: server.activity.trend7d.change,
+                trend30d: server.activity.trend30d.change
+            }));
+
+        return { ...this.monitor.counts(), mostActive, servers };
+    }
+
     async exportResults() {
         try {
             const exportDir = path.join(os.homedir(), '.minecraft-scanner', 'exports');
@@ -1205,15 +2506,37 @@ class AdvancedMinecraftScanner extends EventEmitter {
                     duration: this.stats.uptime,
                     totalScanned: this.stats.totalScanned,
                     totalFound: this.stats.totalFound,
+                    networksFound: this.stats.networksFound,
+                    blockedSkipped: this.stats.blockedSkipped,
+                    rateLimited: this.stats.rateLimited,
                     successRate: this.stats.successRate
                 },
                 topVersions: Array.from(this.stats.serversByVersion.entries()).sort((a, b) => b[1] - a[1]).slice(0, 10),
                 topCountries: Array.from(this.stats.serversByCountry.entries()).sort((a, b) => b[1] - a[1]).slice(0, 10),
+                topProviders: Array.from(this.stats.serversByProvider.entries()).sort((a, b) => b[1] - a[1]).slice(0, 10),
+                editions: Array.from(this.stats.serversByEdition.entries()),
                 bestServer: this.stats.bestServer,
+                monitor: this.monitor ? this.exportMonitorSummary() : undefined,
+                players: this.playerIndex
+                    ? { ...this.playerIndex.stats(), overlaps: this.playerIndex.overlaps({ limit: 10 }) }
+                    : undefined,
+                faviconGroups: this.faviconStore.groups({ limit: 10 }).map(({ servers, ...group }) => ({
+                    ...group,
+                    servers: servers.slice(0, 20)
+                })),
+                networks: {
+                    ...this.networkIndex.stats(),
+                    largest: this.networkIndex.list({ limit: 10 }).map(({ servers, ...network }) => ({
+                        ...network,
+                        servers: servers.slice(0, 20)
+                    }))
+                },
                 performanceMetrics: {
                     avgScanRate: this.stats.avgScanRate,
                     peakScanRate: this.stats.peakScanRate,
                     avgResponseTime: this.stats.avgResponseTime,
+                    latency: this.stats.latency,
+                    rateLimits: this.rateLimiter ? this.rateLimiter.snapshot() : null,
                     gcCount: this.stats.gcCount
                 }
             };
@@ -1227,8 +2550,242 @@ class AdvancedMinecraftScanner extends EventEmitter {
     }
 }
 
+// ⌨️ Command line options
+function parseArgs(argv) {
+    const args = { resume: null, listSessions: false, block: null, note: '', player: null, serverPlayers: null, overlaps: false, faviconGroups: null, networks: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--resume':
+                args.resume = argv[++i];
+                if (!args.resume) {
+                    throw new Error('--resume needs a session ID');
+                }
+                break;
+            case '--list-sessions':
+                args.listSessions = true;
+                break;
+            case '--block':
+                args.block = argv[++i];
+                if (!args.block) {
+                    throw new Error('--block needs a CIDR, IP or ASN');
+                }
+                break;
+            case '--note':
+                args.note = argv[++i] || '';
+                break;
+            case '--player':
+                args.player = argv[++i];
+                if (!args.player) {
+                    throw new Error('--player needs a UUID or name');
+                }
+                break;
+            case '--server-players':
+                args.serverPlayers = argv[++i];
+                if (!args.serverPlayers) {
+                    throw new Error('--server-players needs a server address');
+                }
+                break;
+            case '--overlaps':
+                args.overlaps = true;
+                break;
+            case '--favicon-groups':
+                // Optional Hamming distance for "near-identical" (default 4 of 64 bits)
+                args.faviconGroups = /^\d+$/.test(argv[i + 1] || '') ? Number(argv[++i]) : 4;
+                break;
+            case '--networks':
+                // Optional number of networks to list (default 20)
+                args.networks = /^\d+$/.test(argv[i + 1] || '') ? Number(argv[++i]) : 20;
+                break;
+        }
+    }
+
+    return args;
+}
+
+async function listSessions() {
+    const store = new SessionStore(path.join(os.homedir(), '.minecraft-scanner'));
+    const sessions = await store.list();
+
+    if (sessions.length === 0) {
+        console.log(chalk.yellow('No saved sessions yet.'));
+        return;
+    }
+
+    console.log(chalk.cyan(`${'SESSION'.padEnd(22)} ${'STATUS'.padEnd(12)} ${'MODE'.padEnd(13)} ${'COVERAGE'.padEnd(9)} ${'SCANNED'.padEnd(12)} ${'FOUND'.padEnd(8)} UPDATED`));
+    for (const session of sessions) {
+        const coverage = session.progress ? `${(session.progress.ratio * 100).toFixed(1)}%` : '-';
+        console.log([
+            session.id.padEnd(22),
+            session.status.padEnd(12),
+            (session.config.scanMode || '-').padEnd(13),
+            coverage.padEnd(9),
+            session.counters.totalScanned.toLocaleString().padEnd(12),
+            session.counters.totalFound.toLocaleString().padEnd(8),
+            session.updatedAt
+        ].join(' '));
+    }
+}
+
+// 🧑‍🤝‍🧑 Player index queries
+async function openPlayerIndex() {
+    const index = new PlayerIndex({ stateFile: path.join(os.homedir(), '.minecraft-scanner', 'players.json') });
+    await index.load();
+    return index;
+}
+
+// Accepts an index key ("java:203.0.113.5:25565") or host[:port] (Java)
+function playerIndexKey(index, address) {
+    if (index.servers.has(address)) return address;
+
+    const { host, port } = parseTarget(address, 25565);
+    return serverKey({ edition: 'java', ip: host, port, hostname: isIPAddress(host) ? null : host });
+}
+
+async function showPlayer(query) {
+    const players = (await openPlayerIndex()).lookup(query);
+
+    if (players.length === 0) {
+        console.log(chalk.yellow(`No player matching "${query}" has been seen.`));
+        return;
+    }
+
+    for (const player of players) {
+        const aliases = player.names.length > 1 ? chalk.gray(` (also ${player.names.filter(name => name !== player.name).join(', ')})`) : '';
+        console.log(chalk.cyan(`${player.name} ${player.uuid}`) + aliases);
+        console.log(`  First seen ${player.firstSeen}, last seen ${player.lastSeen}`);
+        for (const server of player.servers) {
+            console.log(`  ${server.key.padEnd(40)} ${String(server.sightings).padStart(6)}x  ${server.firstSeen} → ${server.lastSeen}`);
+        }
+    }
+}
+
+async function showServerPlayers(address) {
+    const index = await openPlayerIndex();
+    const key = playerIndexKey(index, address);
+    const players = index.topPlayers(key, 25);
+
+    if (players.length === 0) {
+        console.log(chalk.yellow(`No players seen on ${key}.`));
+        return;
+    }
+
+    console.log(chalk.cyan(`${'PLAYER'.padEnd(17)} ${'UUID'.padEnd(36)} ${'SEEN'.padStart(6)}  LAST SEEN`));
+    for (const player of players) {
+        console.log(`${player.name.padEnd(17)} ${player.uuid} ${String(player.sightings).padStart(6)}  ${player.lastSeen}`);
+    }
+}
+
+async function showOverlaps() {
+    const overlaps = (await openPlayerIndex()).overlaps();
+
+    if (overlaps.length === 0) {
+        console.log(chalk.yellow('No servers share players yet.'));
+        return;
+    }
+
+    console.log(chalk.cyan(`${'SHARED'.padStart(6)} ${'SIMILARITY'.padStart(10)}  SERVERS`));
+    for (const overlap of overlaps) {
+        console.log(`${String(overlap.shared).padStart(6)} ${overlap.similarity.toFixed(3).padStart(10)}  ${overlap.servers.join('  ↔  ')}`);
+    }
+}
+
+// 🖼️ Servers sharing an icon, biggest groups first
+async function showFaviconGroups(maxDistance) {
+    const store = new FaviconStore({ dir: path.join(os.homedir(), '.minecraft-scanner', 'cache', 'favicons') });
+    await store.load();
+    const groups = store.groups({ maxDistance });
+
+    if (groups.length === 0) {
+        console.log(chalk.yellow('No servers share a favicon yet.'));
+        return;
+    }
+
+    for (const group of groups) {
+        const variants = group.icons.length > 1 ? chalk.gray(` (${group.icons.length} variants)`) : '';
+        console.log(chalk.cyan(`${group.size} servers  phash ${group.phash || '-'}`) + variants + chalk.gray(`  ${group.file}`));
+        group.servers.slice(0, 10).forEach(key => console.log(`  ${key}`));
+        if (group.servers.length > 10) {
+            console.log(chalk.gray(`  … and ${group.servers.length - 10} more`));
+        }
+    }
+}
+
+// Regroups every stored record first, so servers found before network
+// detection (or imported from elsewhere) are included
+async function showNetworks(limit) {
+    const scanner = new AdvancedMinecraftScanner({ logLevel: 'warn' });
+    await scanner.createDirectories();
+    await scanner.loadConfiguration();
+    const regrouped = await scanner.regroupNetworks();
+    await scanner.store.close();
+
+    const { networks, multiAddress, servers } = scanner.networkIndex.stats();
+    console.log(chalk.gray(`${regrouped.toLocaleString()} stored records, ${servers.toLocaleString()} servers in ${networks.toLocaleString()} networks (${multiAddress.toLocaleString()} on more than one address)`));
+
+    const largest = scanner.networkIndex.list({ limit });
+    if (largest.length === 0) {
+        console.log(chalk.yellow('No network answers on more than one address yet.'));
+        return;
+    }
+
+    for (const network of largest) {
+        console.log(chalk.cyan(`${network.id}  ${network.size} addresses  ${network.version || '-'}  max ${network.maxPlayers ?? '-'}`) + chalk.gray(`  ${network.motd.replace(/\n/g, ' ').substring(0, 50)}`));
+        network.servers.slice(0, 10).forEach(key => console.log(`  ${key}`));
+        if (network.servers.length > 10) {
+            console.log(chalk.gray(`  … and ${network.servers.length - 10} more`));
+        }
+    }
+}
+
 // 🎮 Main execution
 async function main() {
+    // Forked scan workers take their assignment over IPC
+    if (cluster.isWorker) {
+        runWorker(config => new AdvancedMinecraftScanner(config));
+        return;
+    }
+
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.listSessions) {
+        await listSessions();
+        return;
+    }
+
+    if (args.player) {
+        await showPlayer(args.player);
+        return;
+    }
+
+    if (args.serverPlayers) {
+        await showServerPlayers(args.serverPlayers);
+        return;
+    }
+
+    if (args.overlaps) {
+        await showOverlaps();
+        return;
+    }
+
+    if (args.faviconGroups !== null) {
+        await showFaviconGroups(args.faviconGroups);
+        return;
+    }
+
+    if (args.networks !== null) {
+        await showNetworks(args.networks);
+        return;
+    }
+
+    if (args.block) {
+        const scanner = new AdvancedMinecraftScanner({ logLevel: 'info' });
+        await scanner.createDirectories();
+        await scanner.loadConfiguration();
+        await scanner.blockRange(args.block, args.note);
+        return;
+    }
+
     // ASCII Art Banner
     console.log(chalk.cyan(`
     ╔══════════════════════════════════════════════════════════════════════╗
@@ -1251,8 +2808,7 @@ async function main() {
     // Enhanced configuration
     const scanner = new AdvancedMinecraftScanner({
         port: 25565,
-        batchSize: 2000,           // Increased batch size
-        maxConcurrent: 3000,       // Higher concurrency
+        maxConcurrent: 3000,       // Probes kept in flight
         timeout: 2500,             // Faster timeout
         maxRetries: 2,             // Fewer retries for speed
         scanMode: 'smart-random',  // Intelligent scanning
@@ -1261,7 +2817,8 @@ async function main() {
         logLevel: 'info',          // Balanced logging
         exportFormats: ['txt', 'json'], // Multiple formats
         saveInterval: 30000,       // Save every 30 seconds
-        gcInterval: 300000         // GC every 5 minutes
+        gcInterval: 300000,        // GC every 5 minutes
+        resumeSession: args.resume // Continue a checkpointed session
     });
 
     // Enhanced event handling
@@ -0,0 +1,259 @@
+/**
+ * 🗺️ MMDB Reader
+ * MaxMind DB format (GeoLite2, DB-IP lite, ...) in pure JS
+ *
+ * ✨ Provides:
+ * - Metadata section parsing (node count, record size, IP version)
+ * - Binary search tree walk for IPv4 and IPv6 addresses, 24/28/32-bit records
+ * - Data section decoding: maps, arrays, strings, numbers, pointers
+ * - Synchronous lookups from an in-memory buffer
+ */
+
+const fs = require('fs').promises;
+const net = require('net');
+const { ipToBigInt } = require('./ip_utils');
+
+const METADATA_MARKER = Buffer.from('\xAB\xCD\xEFMaxMind.com', 'latin1');
+
+// The metadata section sits within the last 128KiB of the file
+const METADATA_MAX_SIZE = 128 * 1024;
+
+// Zero bytes between the search tree and the data section
+const DATA_SECTION_SEPARATOR = 16;
+
+const TYPE = {
+    EXTENDED: 0,
+    POINTER: 1,
+    STRING: 2,
+    DOUBLE: 3,
+    BYTES: 4,
+    UINT16: 5,
+    UINT32: 6,
+    MAP: 7,
+    INT32: 8,
+    UINT64: 9,
+    UINT128: 10,
+    ARRAY: 11,
+    CONTAINER: 12,
+    END_MARKER: 13,
+    BOOLEAN: 14,
+    FLOAT: 15
+};
+
+class MMDBError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MMDBError';
+    }
+}
+
+// Decodes data section values; offsets are relative to `base`, as pointers are
+class Decoder {
+    constructor(buffer, base) {
+        this.buffer = buffer;
+        this.base = base;
+    }
+
+    // Returns [value, offset after it]
+    decode(offset) {
+        const position = this.base + offset;
+        if (position >= this.buffer.length) throw new MMDBError('Data offset out of range');
+
+        const control = this.buffer[position];
+        let type = control >> 5;
+        let next = offset + 1;
+
+        if (type === TYPE.POINTER) {
+            const [pointer, after] = this.decodePointer(control, next);
+            // Pointers never point at pointers
+            return [this.decode(pointer)[0], after];
+        }
+
+        if (type === TYPE.EXTENDED) {
+            type = 7 + this.byte(next);
+            next++;
+        }
+
+        let size = control & 0x1f;
+        if (size === 29) {
+            size = 29 + this.byte(next);
+            next += 1;
+        } else if (size === 30) {
+            size = 285 + this.uint(next, 2);
+            next += 2;
+        } else if (size === 31) {
+            size = 65821 + this.uint(next, 3);
+            next += 3;
+        }
+
+        return this.decodeValue(type, size, next);
+    }
+
+    decodePointer(control, offset) {
+        const sizeBits = (control >> 3) & 0x3;
+        const value = control & 0x7;
+        switch (sizeBits) {
+            case 0: return [(value << 8) | this.byte(offset), offset + 1];
+            case 1: return [((value << 16) | this.uint(offset, 2)) + 2048, offset + 2];
+            case 2: return [((value << 24) | this.uint(offset, 3)) + 526336, offset + 3];
+            default: return [this.uint(offset, 4), offset + 4];
+        }
+    }
+
+    decodeValue(type, size, offset) {
+        const position = this.base + offset;
+        if (type !== TYPE.MAP && type !== TYPE.ARRAY && type !== TYPE.BOOLEAN && position + size > this.buffer.length) {
+            throw new MMDBError('Data value runs past the end of the file');
+        }
+
+        switch (type) {
+            case TYPE.STRING:
+                return [this.buffer.toString('utf8', position, position + size), offset + size];
+            case TYPE.DOUBLE:
+                return [this.buffer.readDoubleBE(position), offset + 8];
+            case TYPE.FLOAT:
+                return [this.buffer.readFloatBE(position), offset + 4];
+            case TYPE.BYTES:
+                return [Buffer.from(this.buffer.subarray(position, position + size)), offset + size];
+            case TYPE.UINT16:
+            case TYPE.UINT32:
+                return [this.uint(offset, size), offset + size];
+            case TYPE.INT32: {
+                const value = this.uint(offset, size);
+                return [size === 4 ? value | 0 : value, offset + size];
+            }
+            case TYPE.UINT64:
+            case TYPE.UINT128: {
+                let value = 0n;
+                for (let i = 0; i < size; i++) value = (value << 8n) | BigInt(this.buffer[position + i]);
+                return [value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value, offset + size];
+            }
+            case TYPE.BOOLEAN:
+                return [size !== 0, offset];
+            case TYPE.MAP: {
+                const map = {};
+                let next = offset;
+                for (let i = 0; i < size; i++) {
+                    const [key, afterKey] = this.decode(next);
+                    const [value, afterValue] = this.decode(afterKey);
+                    map[key] = value;
+                    next = afterValue;
+                }
+                return [map, next];
+            }
+            case TYPE.ARRAY: {
+                const array = [];
+                let next = offset;
+                for (let i = 0; i < size; i++) {
+                    const [value, after] = this.decode(next);
+                    array.push(value);
+                    next = after;
+                }
+                return [array, next];
+            }
+            default:
+                throw new MMDBError(`Unsupported data type ${type}`);
+        }
+    }
+
+    byte(offset) {
+        const position = this.base + offset;
+        if (position >= this.buffer.length) throw new MMDBError('Data offset out of range');
+        return this.buffer[position];
+    }
+
+    // Big-endian unsigned integer of 0-4 bytes
+    uint(offset, size) {
+        let value = 0;
+        for (let i = 0; i < size; i++) value = value * 256 + this.byte(offset + i);
+        return value;
+    }
+}
+
+class MMDBReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+
+        const searchFrom = Math.max(0, buffer.length - METADATA_MAX_SIZE);
+        const marker = buffer.lastIndexOf(METADATA_MARKER);
+        if (marker === -1 || marker < searchFrom) {
+            throw new MMDBError('Not a MaxMind DB file (no metadata marker)');
+        }
+
+        const metadataStart = marker + METADATA_MARKER.length;
+        this.metadata = new Decoder(buffer, metadataStart).decode(0)[0];
+
+        const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = this.metadata;
+        if (![24, 28, 32].includes(recordSize)) {
+            throw new MMDBError(`Unsupported record size ${recordSize}`);
+        }
+
+        this.nodeCount = nodeCount;
+        this.recordSize = recordSize;
+        this.ipVersion = ipVersion;
+        this.nodeBytes = recordSize / 4;
+        this.treeSize = this.nodeBytes * nodeCount;
+        if (this.treeSize + DATA_SECTION_SEPARATOR > marker) {
+            throw new MMDBError('Search tree runs past the data section');
+        }
+
+        this.decoder = new Decoder(buffer, this.treeSize + DATA_SECTION_SEPARATOR);
+        this.ipv4Start = null;
+    }
+
+    static async open(file) {
+        return new MMDBReader(await fs.readFile(file));
+    }
+
+    readRecord(node, bit) {
+        const offset = node * this.nodeBytes;
+        const buffer = this.buffer;
+
+        if (this.recordSize === 24) {
+            return buffer.readUIntBE(offset + bit * 3, 3);
+        }
+        if (this.recordSize === 28) {
+            const middle = buffer[offset + 3];
+            return bit === 0
+                ? ((middle & 0xf0) << 20) + buffer.readUIntBE(offset, 3)
+                : ((middle & 0x0f) << 24) + buffer.readUIntBE(offset + 4, 3);
+        }
+        return buffer.readUInt32BE(offset + bit * 4);
+    }
+
+    // IPv4 addresses live under ::/96 in an IPv6 tree
+    findIPv4Start() {
+        if (this.ipv4Start === null) {
+            let node = 0;
+            for (let i = 0; i < 96 && node < this.nodeCount; i++) {
+                node = this.readRecord(node, 0);
+            }
+            this.ipv4Start = node;
+        }
+        return this.ipv4Start;
+    }
+
+    // Record for the network containing ip, or null when there is none
+    lookup(ip) {
+        const version = net.isIP(ip);
+        if (version === 0) throw new MMDBError(`Invalid IP address: ${ip}`);
+        if (version === 6 && this.ipVersion === 4) return null;
+
+        const bits = version === 4 ? 32 : 128;
+        const address = ipToBigInt(ip);
+        let node = version === 4 && this.ipVersion === 6 ? this.findIPv4Start() : 0;
+
+        for (let i = bits - 1; i >= 0 && node < this.nodeCount; i--) {
+            node = this.readRecord(node, Number((address >> BigInt(i)) & 1n));
+        }
+
+        // node_count itself means "no data"; larger values point into the data section
+        if (node <= this.nodeCount) return null;
+
+        const offset = node - this.nodeCount - DATA_SECTION_SEPARATOR;
+        return this.decoder.decode(offset)[0];
+    }
+}
+
+module.exports = MMDBReader;
+module.exports.MMDBError = MMDBError;
@@ -0,0 +1,294 @@
+/**
+ * 🕸️ Network Index
+ * One network answering on many addresses, grouped into a single entity
+ *
+ * ✨ Provides:
+ * - Response fingerprints from the normalized MOTD, favicon hash, version,
+ *   max players and sample UUIDs
+ * - Network entities with every member address, first/last seen
+ * - Matching of rotated samples: same response, at least one shared player
+ * - Stable network IDs; merged networks keep the oldest ID as an alias
+ * - Atomic JSON state file
+ *
+ * Stock responses (no favicon and a default MOTD) are never grouped: thousands
+ * of unrelated servers send exactly the same thing.
+ */
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { isRealPlayer, normalizeUUID } = require('./player_index');
+
+// Out-of-the-box MOTDs, after normalization
+const DEFAULT_MOTDS = new Set(['', 'a minecraft server', 'dedicated server', 'no description']);
+
+// Sample UUIDs remembered per network for matching rotated samples
+const MAX_NETWORK_UUIDS = 500;
+
+function hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function normalizeMOTD(motd) {
+    return String(motd || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// { fingerprint, core, uuids, distinctive }; `core` is the fingerprint
+// without the sample, which rotates on busy networks
+function fingerprintResponse(serverInfo) {
+    const motd = normalizeMOTD(serverInfo.motd);
+    const favicon = serverInfo.favicon?.sha256 || null;
+    const uuids = [...new Set((serverInfo.players?.sample || []).filter(isRealPlayer).map(entry => normalizeUUID(entry.id)))].sort();
+
+    const core = hash(JSON.stringify([
+        serverInfo.edition || 'java',
+        motd,
+        favicon,
+        serverInfo.gameVersion?.label || serverInfo.version || null,
+        serverInfo.players?.max ?? null
+    ]));
+
+    return {
+        fingerprint: hash(`${core}:${uuids.join(',')}`),
+        core,
+        uuids,
+        distinctive: favicon !== null || !DEFAULT_MOTDS.has(motd)
+    };
+}
+
+class NetworkIndex {
+    constructor({ stateFile }) {
+        this.stateFile = stateFile;
+        this.networks = new Map();
+        this.servers = new Map();
+        this.aliases = new Map();
+        this.byFingerprint = new Map();
+        this.byCore = new Map();
+        this.loaded = false;
+        this.dirty = false;
+    }
+
+    async load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        try {
+            const saved = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+            for (const network of saved.networks || []) {
+                this.addNetwork({
+                    ...network,
+                    fingerprints: new Set(network.fingerprints),
+                    uuids: new Set(network.uuids),
+                    members: new Set()
+                });
+            }
+            for (const server of saved.servers || []) {
+                const network = this.networks.get(server.network);
+                if (!network) continue;
+                network.members.add(server.key);
+                this.servers.set(server.key, server);
+            }
+            this.aliases = new Map(saved.aliases || []);
+        } catch (error) {
+            // No networks yet
+        }
+    }
+
+    addNetwork(network) {
+        this.networks.set(network.id, network);
+        network.fingerprints.forEach(fingerprint => this.byFingerprint.set(fingerprint, network.id));
+        if (!this.byCore.has(network.core)) this.byCore.set(network.core, new Set());
+        this.byCore.get(network.core).add(network.id);
+    }
+
+    deleteNetwork(network) {
+        this.networks.delete(network.id);
+        network.fingerprints.forEach(fingerprint => {
+            if (this.byFingerprint.get(fingerprint) === network.id) this.byFingerprint.delete(fingerprint);
+        });
+        this.byCore.get(network.core)?.delete(network.id);
+        if (this.byCore.get(network.core)?.size === 0) this.byCore.delete(network.core);
+    }
+
+    // Assigns the server to its network and returns the network ID, or null
+    // for stock responses
+    record(serverKey, serverInfo, at = serverInfo.timestamp || new Date().toISOString()) {
+        const print = fingerprintResponse(serverInfo);
+        if (!print.distinctive) {
+            this.leave(serverKey);
+            return null;
+        }
+
+        // Same fingerprint, or the same response with a sample sharing a player
+        const matches = new Set();
+        if (this.byFingerprint.has(print.fingerprint)) {
+            matches.add(this.byFingerprint.get(print.fingerprint));
+        }
+        for (const id of this.byCore.get(print.core) || []) {
+            const candidate = this.networks.get(id);
+            if (print.uuids.some(uuid => candidate.uuids.has(uuid))) matches.add(id);
+        }
+
+        let network;
+        if (matches.size === 0) {
+            network = {
+                id: `net-${print.fingerprint.substring(0, 12)}`,
+                core: print.core,
+                fingerprints: new Set(),
+                motd: serverInfo.motd || '',
+                favicon: serverInfo.favicon?.sha256 || null,
+                version: serverInfo.gameVersion?.label || serverInfo.version || null,
+                maxPlayers: serverInfo.players?.max ?? null,
+                edition: serverInfo.edition || 'java',
+                uuids: new Set(),
+                members: new Set(),
+                firstSeen: at,
+                lastSeen: at
+            };
+            this.aliases.delete(network.id);
+            this.addNetwork(network);
+        } else {
+            const [oldest, ...others] = Array.from(matches, id => this.networks.get(id))
+                .sort((a, b) => a.firstSeen.localeCompare(b.firstSeen));
+            others.forEach(other => this.merge(other, oldest));
+            network = oldest;
+        }
+
+        if (this.servers.get(serverKey)?.network !== network.id) {
+            this.leave(serverKey);
+        }
+
+        network.members.add(serverKey);
+        network.fingerprints.add(print.fingerprint);
+        this.byFingerprint.set(print.fingerprint, network.id);
+        for (const uuid of print.uuids) {
+            // Re-insert so the most recently seen players are kept
+            network.uuids.delete(uuid);
+            network.uuids.add(uuid);
+        }
+        while (network.uuids.size > MAX_NETWORK_UUIDS) {
+            network.uuids.delete(network.uuids.values().next().value);
+        }
+        if (at > network.lastSeen) network.lastSeen = at;
+
+        this.servers.set(serverKey, {
+            key: serverKey,
+            ip: serverInfo.ip,
+            port: serverInfo.port,
+            hostname: serverInfo.hostname || null,
+            network: network.id
+        });
+        this.dirty = true;
+
+        return network.id;
+    }
+
+    // `from` becomes an alias of `into`
+    merge(from, into) {
+        for (const key of from.members) {
+            into.members.add(key);
+            this.servers.get(key).network = into.id;
+        }
+        from.fingerprints.forEach(fingerprint => into.fingerprints.add(fingerprint));
+        from.uuids.forEach(uuid => into.uuids.add(uuid));
+        if (from.lastSeen > into.lastSeen) into.lastSeen = from.lastSeen;
+
+        this.deleteNetwork(from);
+        into.fingerprints.forEach(fingerprint => this.byFingerprint.set(fingerprint, into.id));
+
+        for (const [alias, target] of this.aliases.entries()) {
+            if (target === from.id) this.aliases.set(alias, into.id);
+        }
+        this.aliases.set(from.id, into.id);
+        this.dirty = true;
+    }
+
+    leave(serverKey) {
+        const server = this.servers.get(serverKey);
+        if (!server) return;
+
+        this.servers.delete(serverKey);
+        const network = this.networks.get(server.network);
+        if (network) {
+            network.members.delete(serverKey);
+            if (network.members.size === 0) this.deleteNetwork(network);
+        }
+        this.dirty = true;
+    }
+
+    // Current ID for an ID stored before a merge
+    resolve(id) {
+        return this.aliases.get(id) || id;
+    }
+
+    networkOf(serverKey) {
+        const server = this.servers.get(serverKey);
+        return server ? this.networks.get(server.network) || null : null;
+    }
+
+    removeServers(predicate) {
+        let removed = 0;
+        for (const server of Array.from(this.servers.values())) {
+            if (predicate(server)) {
+                this.leave(server.key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    // Largest networks first
+    list({ minServers = 2, limit = 20 } = {}) {
+        return Array.from(this.networks.values())
+            .filter(network => network.members.size >= minServers)
+            .sort((a, b) => b.members.size - a.members.size || a.firstSeen.localeCompare(b.firstSeen))
+            .slice(0, limit)
+            .map(network => ({
+                id: network.id,
+                size: network.members.size,
+                motd: network.motd,
+                version: network.version,
+                maxPlayers: network.maxPlayers,
+                favicon: network.favicon,
+                edition: network.edition,
+                firstSeen: network.firstSeen,
+                lastSeen: network.lastSeen,
+                servers: Array.from(network.members).sort()
+            }));
+    }
+
+    stats() {
+        let multiAddress = 0;
+        for (const network of this.networks.values()) {
+            if (network.members.size > 1) multiAddress++;
+        }
+        return { networks: this.networks.size, multiAddress, servers: this.servers.size };
+    }
+
+    // Temp file + rename, like session checkpoints
+    async save() {
+        if (!this.dirty) return;
+        this.dirty = false;
+
+        const tempFile = `${this.stateFile}.${process.pid}.tmp`;
+        const data = {
+            updatedAt: new Date().toISOString(),
+            networks: Array.from(this.networks.values(), ({ members, ...network }) => ({
+                ...network,
+                fingerprints: Array.from(network.fingerprints),
+                uuids: Array.from(network.uuids)
+            })),
+            servers: Array.from(this.servers.values()),
+            aliases: Array.from(this.aliases.entries())
+        };
+        try {
+            await fs.writeFile(tempFile, JSON.stringify(data));
+            await fs.rename(tempFile, this.stateFile);
+        } catch (error) {
+            this.dirty = true;
+            throw error;
+        }
+    }
+}
+
+module.exports = NetworkIndex;
+module.exports.fingerprintResponse = fingerprintResponse;
@@ -0,0 +1,235 @@
+/**
+ * 🧑‍🤝‍🧑 Player Index
+ * Which players were seen on which servers, from status `players.sample`
+ *
+ * ✨ Provides:
+ * - UUID → servers seen on, with first/last seen and sighting counts
+ * - Lookup by UUID or (case-insensitive) name
+ * - Most-seen players per server
+ * - Server pairs with overlapping player samples (likely shared networks)
+ * - Filtering of fake sample entries servers use for MOTD-style text
+ * - Atomic JSON state file
+ */
+
+const fs = require('fs').promises;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i;
+
+// Java names, optionally with a Floodgate prefix for Bedrock players
+const NAME_PATTERN = /^[.*]?[A-Za-z0-9_]{1,16}$/;
+
+// Players seen on more servers than this are left out of overlap counts;
+// they are almost always shared fake entries
+const MAX_SERVERS_FOR_OVERLAP = 100;
+
+function normalizeUUID(uuid) {
+    const hex = String(uuid).replace(/-/g, '').toLowerCase();
+    return `${hex.substring(0, 8)}-${hex.substring(8, 12)}-${hex.substring(12, 16)}-${hex.substring(16, 20)}-${hex.substring(20)}`;
+}
+
+function isUUID(text) {
+    return UUID_PATTERN.test(String(text).trim());
+}
+
+// Servers fill the sample with MOTD lines: empty or all-zero UUIDs,
+// names with § colour codes or spaces
+function isRealPlayer(entry) {
+    if (!entry || typeof entry.id !== 'string' || typeof entry.name !== 'string') return false;
+    if (!isUUID(entry.id) || /^[0-]+$/.test(entry.id)) return false;
+    return NAME_PATTERN.test(entry.name);
+}
+
+class PlayerIndex {
+    constructor({ stateFile }) {
+        this.stateFile = stateFile;
+        this.players = new Map();
+        this.servers = new Map();
+        this.names = new Map();
+        this.dirty = false;
+    }
+
+    async load() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+            for (const server of saved.servers || []) {
+                this.servers.set(server.key, { ...server, players: new Set() });
+            }
+            for (const player of saved.players || []) {
+                this.players.set(player.uuid, player);
+                this.indexName(player.name, player.uuid);
+                for (const key of Object.keys(player.servers)) {
+                    this.servers.get(key)?.players.add(player.uuid);
+                }
+            }
+        } catch (error) {
+            // No index yet
+        }
+    }
+
+    indexName(name, uuid) {
+        const key = name.toLowerCase();
+        if (!this.names.has(key)) this.names.set(key, new Set());
+        this.names.get(key).add(uuid);
+    }
+
+    // Returns how many sample entries were real players
+    record(serverKey, serverInfo, at = serverInfo.timestamp || new Date().toISOString()) {
+        const sample = (serverInfo.players?.sample || []).filter(isRealPlayer);
+        if (sample.length === 0) return 0;
+
+        let server = this.servers.get(serverKey);
+        if (!server) {
+            server = {
+                key: serverKey,
+                ip: serverInfo.ip,
+                port: serverInfo.port,
+                hostname: serverInfo.hostname || null,
+                edition: serverInfo.edition,
+                players: new Set()
+            };
+            this.servers.set(serverKey, server);
+        }
+
+        for (const entry of sample) {
+            const uuid = normalizeUUID(entry.id);
+            let player = this.players.get(uuid);
+            if (!player) {
+                player = { uuid, name: entry.name, names: [entry.name], firstSeen: at, lastSeen: at, servers: {} };
+                this.players.set(uuid, player);
+                this.indexName(entry.name, uuid);
+            } else if (player.name !== entry.name) {
+                // Renamed: keep every name it has been seen under
+                player.name = entry.name;
+                if (!player.names.includes(entry.name)) player.names.push(entry.name);
+                this.indexName(entry.name, uuid);
+            }
+            player.lastSeen = at;
+
+            const seen = player.servers[serverKey];
+            if (seen) {
+                seen.lastSeen = at;
+                seen.sightings++;
+            } else {
+                player.servers[serverKey] = { firstSeen: at, lastSeen: at, sightings: 1 };
+            }
+            server.players.add(uuid);
+        }
+
+        this.dirty = true;
+        return sample.length;
+    }
+
+    // A UUID (with or without dashes) or a name; names can map to several
+    // UUIDs on offline-mode servers
+    lookup(query) {
+        const uuids = isUUID(query)
+            ? [normalizeUUID(query)]
+            : Array.from(this.names.get(String(query).trim().toLowerCase()) || []);
+
+        return uuids
+            .map(uuid => this.players.get(uuid))
+            .filter(Boolean)
+            .map(player => ({
+                ...player,
+                servers: Object.entries(player.servers)
+                    .map(([key, seen]) => ({ key, ...seen }))
+                    .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen))
+            }));
+    }
+
+    topPlayers(serverKey, limit = 10) {
+        const server = this.servers.get(serverKey);
+        if (!server) return [];
+
+        return Array.from(server.players)
+            .map(uuid => {
+                const player = this.players.get(uuid);
+                return { uuid, name: player.name, ...player.servers[serverKey] };
+            })
+            .sort((a, b) => b.sightings - a.sightings)
+            .slice(0, limit);
+    }
+
+    // Server pairs ranked by shared players, with the Jaccard similarity of
+    // their player sets
+    overlaps({ minShared = 2, limit = 20 } = {}) {
+        const shared = new Map();
+
+        for (const player of this.players.values()) {
+            const keys = Object.keys(player.servers).sort();
+            if (keys.length < 2 || keys.length > MAX_SERVERS_FOR_OVERLAP) continue;
+
+            for (let i = 0; i < keys.length; i++) {
+                for (let j = i + 1; j < keys.length; j++) {
+                    const pair = `${keys[i]}\n${keys[j]}`;
+                    shared.set(pair, (shared.get(pair) || 0) + 1);
+                }
+            }
+        }
+
+        return Array.from(shared.entries())
+            .filter(([, count]) => count >= minShared)
+            .map(([pair, count]) => {
+                const [a, b] = pair.split('\n');
+                const union = this.servers.get(a).players.size + this.servers.get(b).players.size - count;
+                return { servers: [a, b], shared: count, similarity: Math.round((count / union) * 1000) / 1000 };
+            })
+            .sort((a, b) => b.shared - a.shared || b.similarity - a.similarity)
+            .slice(0, limit);
+    }
+
+    // Forget sightings on servers that opted out; returns how many servers went
+    removeServers(predicate) {
+        let removed = 0;
+
+        for (const [key, server] of this.servers.entries()) {
+            if (!predicate(server)) continue;
+
+            for (const uuid of server.players) {
+                const player = this.players.get(uuid);
+                delete player.servers[key];
+                if (Object.keys(player.servers).length === 0) {
+                    this.players.delete(uuid);
+                    player.names.forEach(name => this.names.get(name.toLowerCase())?.delete(uuid));
+                }
+            }
+            this.servers.delete(key);
+            removed++;
+        }
+
+        if (removed > 0) this.dirty = true;
+        return removed;
+    }
+
+    stats() {
+        let sightings = 0;
+        for (const player of this.players.values()) {
+            for (const seen of Object.values(player.servers)) sightings += seen.sightings;
+        }
+        return { players: this.players.size, servers: this.servers.size, sightings };
+    }
+
+    // Temp file + rename, like session checkpoints
+    async save() {
+        if (!this.dirty) return;
+        this.dirty = false;
+
+        const tempFile = `${this.stateFile}.${process.pid}.tmp`;
+        const data = {
+            updatedAt: new Date().toISOString(),
+            servers: Array.from(this.servers.values()).map(({ players, ...server }) => server),
+            players: Array.from(this.players.values())
+        };
+        try {
+            await fs.writeFile(tempFile, JSON.stringify(data));
+            await fs.rename(tempFile, this.stateFile);
+        } catch (error) {
+            this.dirty = true;
+            throw error;
+        }
+    }
+}
+
+module.exports = PlayerIndex;
+module.exports.isRealPlayer = isRealPlayer;
+module.exports.normalizeUUID = normalizeUUID;
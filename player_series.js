@@ -0,0 +1,171 @@
+/**
+ * 👥 Player Series
+ * Per-server player count history with downsampling
+ *
+ * ✨ Provides:
+ * - Raw samples, rolled into hourly buckets, then daily buckets as they age
+ * - Peak concurrent players
+ * - Average players by hour of day and day of week (UTC)
+ * - 7 and 30 day trends (average vs. the period before)
+ *
+ * Buckets are { at, samples, sum, peak }, where `at` is the bucket start.
+ * Series are plain objects so they serialize with the monitor state.
+ */
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+const DEFAULT_RETENTION = {
+    raw: 2 * DAY,
+    hourly: 35 * DAY,
+    daily: 400 * DAY
+};
+
+function createSeries() {
+    return { raw: [], hourly: [], daily: [] };
+}
+
+function bucketStart(time, size) {
+    return Math.floor(time / size) * size;
+}
+
+// Buckets are merged oldest first, so a bucket is either the last one or new
+function mergeInto(buckets, start, { samples, sum, peak }) {
+    const at = new Date(start).toISOString();
+    const last = buckets[buckets.length - 1];
+
+    if (last && last.at === at) {
+        last.samples += samples;
+        last.sum += sum;
+        last.peak = Math.max(last.peak, peak);
+    } else {
+        buckets.push({ at, samples, sum, peak });
+    }
+}
+
+function sampleBucket(sample) {
+    return { samples: 1, sum: sample.online, peak: sample.online };
+}
+
+// Raw → hourly → daily once each tier's retention has passed
+function compact(series, now, retention = DEFAULT_RETENTION) {
+    while (series.raw.length > 0 && Date.parse(series.raw[0].at) < now - retention.raw) {
+        const sample = series.raw.shift();
+        mergeInto(series.hourly, bucketStart(Date.parse(sample.at), HOUR), sampleBucket(sample));
+    }
+
+    while (series.hourly.length > 0 && Date.parse(series.hourly[0].at) < now - retention.hourly) {
+        const bucket = series.hourly.shift();
+        mergeInto(series.daily, bucketStart(Date.parse(bucket.at), DAY), bucket);
+    }
+
+    while (series.daily.length > 0 && Date.parse(series.daily[0].at) < now - retention.daily) {
+        series.daily.shift();
+    }
+}
+
+function addSample(series, now, online, max, retention = DEFAULT_RETENTION) {
+    series.raw.push({ at: new Date(now).toISOString(), online, max });
+    compact(series, now, retention);
+}
+
+// Hourly buckets including the raw tail, without touching the series
+function hourlyView(series) {
+    const view = series.hourly.map(bucket => ({ ...bucket }));
+    for (const sample of series.raw) {
+        mergeInto(view, bucketStart(Date.parse(sample.at), HOUR), sampleBucket(sample));
+    }
+    return view;
+}
+
+function dailyView(series) {
+    const view = series.daily.map(bucket => ({ ...bucket }));
+    for (const bucket of hourlyView(series)) {
+        mergeInto(view, bucketStart(Date.parse(bucket.at), DAY), bucket);
+    }
+    return view;
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function round(value) {
+    return value === null ? null : Math.round(value * 10) / 10;
+}
+
+// Mean of bucket averages per slot, so an hour pinged twice as often
+// does not count twice
+function averageBySlot(buckets, slots, slotOf) {
+    const grouped = Array.from({ length: slots }, () => []);
+    for (const bucket of buckets) {
+        grouped[slotOf(new Date(bucket.at))].push(bucket.sum / bucket.samples);
+    }
+    return grouped.map(values => round(average(values)));
+}
+
+function busiest(averages) {
+    let best = null;
+    averages.forEach((value, index) => {
+        if (value !== null && (best === null || value > averages[best])) best = index;
+    });
+    return best;
+}
+
+// Average over the last `days` against the `days` before that
+function trend(days, buckets, now) {
+    const windowAverage = (from, to) => average(buckets
+        .filter(bucket => {
+            const start = Date.parse(bucket.at);
+            return start >= from && start < to;
+        })
+        .map(bucket => bucket.sum / bucket.samples));
+
+    const current = windowAverage(now - days * DAY, now);
+    const previous = windowAverage(now - 2 * days * DAY, now - days * DAY);
+
+    return {
+        days,
+        average: round(current),
+        previousAverage: round(previous),
+        change: current !== null && previous ? round(((current - previous) / previous) * 100) : null
+    };
+}
+
+function summarizeSeries(series, now = Date.now()) {
+    const hourly = hourlyView(series);
+    const daily = dailyView(series);
+    const latest = series.raw[series.raw.length - 1] || null;
+
+    let peak = null;
+    for (const sample of series.raw) {
+        if (!peak || sample.online > peak.online) peak = { online: sample.online, at: sample.at };
+    }
+    for (const bucket of [...series.hourly, ...series.daily]) {
+        if (!peak || bucket.peak > peak.online) peak = { online: bucket.peak, at: bucket.at };
+    }
+
+    const byHour = averageBySlot(hourly, 24, date => date.getUTCHours());
+    const byWeekday = averageBySlot(daily, 7, date => date.getUTCDay());
+    const week = trend(7, daily, now);
+
+    return {
+        current: latest ? latest.online : null,
+        peak,
+        averagePlayers: week.average,
+        byHour,
+        byWeekday,
+        busiestHour: busiest(byHour),
+        busiestWeekday: busiest(byWeekday),
+        trend7d: week,
+        trend30d: trend(30, daily, now)
+    };
+}
+
+module.exports = {
+    DEFAULT_RETENTION,
+    createSeries,
+    addSample,
+    compact,
+    summarizeSeries
+};
@@ -0,0 +1,128 @@
+/**
+ * 🏊 Probe Pool
+ * Keeps a fixed number of probes in flight and refills as each one settles
+ *
+ * ✨ Provides:
+ * - Continuous feeding: one slow probe never holds up the others
+ * - Pull-based work source (ready task, nothing ready yet, or done)
+ * - Pause / resume / stop with a promise that settles once drained
+ * - Adjustable concurrency while running
+ *
+ * The pull callback returns a task to run, null when nothing is ready yet
+ * (the pool polls again shortly) or ProbePool.DONE once no more work will
+ * ever come.
+ */
+
+const EventEmitter = require('events');
+
+const DONE = Symbol('ProbePool.DONE');
+
+class ProbePool extends EventEmitter {
+    constructor({ concurrency, pull, run, pollInterval = 10 }) {
+        super();
+        this.concurrency = Math.max(1, concurrency);
+        this.pull = pull;
+        this.run = run;
+        this.pollInterval = pollInterval;
+
+        this.active = 0;
+        this.completed = 0;
+        this.paused = false;
+        this.stopped = false;
+        this.exhausted = false;
+        this.pollTimer = null;
+        this.drained = null;
+    }
+
+    // Resolves once stopped or exhausted and every in-flight task has settled
+    start() {
+        if (!this.drained) {
+            this.drained = new Promise(resolve => {
+                this.resolveDrained = resolve;
+            });
+            this.fill();
+        }
+        return this.drained;
+    }
+
+    fill() {
+        while (!this.stopped && !this.paused && !this.exhausted && this.active < this.concurrency) {
+            let task;
+            try {
+                task = this.pull();
+            } catch (error) {
+                this.emit('error', error);
+                task = null;
+            }
+
+            if (task === DONE) {
+                this.exhausted = true;
+                break;
+            }
+            if (task === null || task === undefined) {
+                this.schedulePoll();
+                break;
+            }
+
+            this.launch(task);
+        }
+
+        this.checkDrained();
+    }
+
+    launch(task) {
+        this.active++;
+
+        Promise.resolve()
+            .then(() => this.run(task))
+            .catch(error => this.emit('error', error))
+            .finally(() => {
+                this.active--;
+                this.completed++;
+                this.emit('settled', task);
+                this.fill();
+            });
+    }
+
+    schedulePoll() {
+        if (this.pollTimer) return;
+        this.pollTimer = setTimeout(() => {
+            this.pollTimer = null;
+            this.fill();
+        }, this.pollInterval);
+    }
+
+    checkDrained() {
+        if ((this.stopped || this.exhausted) && this.active === 0 && this.resolveDrained) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+            this.resolveDrained();
+            this.resolveDrained = null;
+        }
+    }
+
+    setConcurrency(concurrency) {
+        this.concurrency = Math.max(1, concurrency);
+        this.fill();
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.fill();
+    }
+
+    // In-flight probes finish; nothing new is pulled
+    stop() {
+        this.stopped = true;
+        this.checkDrained();
+        return this.drained || Promise.resolve();
+    }
+}
+
+ProbePool.DONE = DONE;
+
+module.exports = ProbePool;
@@ -0,0 +1,256 @@
+/**
+ * 🔢 Protocol Versions
+ * Java protocol numbers → release versions, and version normalization
+ *
+ * ✨ Provides:
+ * - Protocol → releases table (1.7.2+, plus the pre-netty legacy ping numbers)
+ * - Canonical version (or proxy range) from `version.protocol` + `version.name`
+ * - Version comparison and semver-style ranges: ">=1.20 <1.21", "1.20.x",
+ *   "1.19 || 1.20"
+ */
+
+// Each protocol with the releases that speak it, oldest first
+const RELEASES = [
+    [4, ['1.7.2', '1.7.3', '1.7.4', '1.7.5']],
+    [5, ['1.7.6', '1.7.7', '1.7.8', '1.7.9', '1.7.10']],
+    [47, ['1.8', '1.8.1', '1.8.2', '1.8.3', '1.8.4', '1.8.5', '1.8.6', '1.8.7', '1.8.8', '1.8.9']],
+    [107, ['1.9']],
+    [108, ['1.9.1']],
+    [109, ['1.9.2']],
+    [110, ['1.9.3', '1.9.4']],
+    [210, ['1.10', '1.10.1', '1.10.2']],
+    [315, ['1.11']],
+    [316, ['1.11.1', '1.11.2']],
+    [335, ['1.12']],
+    [338, ['1.12.1']],
+    [340, ['1.12.2']],
+    [393, ['1.13']],
+    [401, ['1.13.1']],
+    [404, ['1.13.2']],
+    [477, ['1.14']],
+    [480, ['1.14.1']],
+    [485, ['1.14.2']],
+    [490, ['1.14.3']],
+    [498, ['1.14.4']],
+    [573, ['1.15']],
+    [575, ['1.15.1']],
+    [578, ['1.15.2']],
+    [735, ['1.16']],
+    [736, ['1.16.1']],
+    [751, ['1.16.2']],
+    [753, ['1.16.3']],
+    [754, ['1.16.4', '1.16.5']],
+    [755, ['1.17']],
+    [756, ['1.17.1']],
+    [757, ['1.18', '1.18.1']],
+    [758, ['1.18.2']],
+    [759, ['1.19']],
+    [760, ['1.19.1', '1.19.2']],
+    [761, ['1.19.3']],
+    [762, ['1.19.4']],
+    [763, ['1.20', '1.20.1']],
+    [764, ['1.20.2']],
+    [765, ['1.20.3', '1.20.4']],
+    [766, ['1.20.5', '1.20.6']],
+    [767, ['1.21', '1.21.1']],
+    [768, ['1.21.2', '1.21.3']],
+    [769, ['1.21.4']],
+    [770, ['1.21.5']],
+    [771, ['1.21.6']],
+    [772, ['1.21.7', '1.21.8']],
+    [773, ['1.21.9', '1.21.10']]
+];
+
+// Legacy ping (1.4-1.6) numbers overlap the netty ones (47 is 1.4.2 and 1.8)
+const LEGACY_RELEASES = [
+    [47, ['1.4.2']],
+    [49, ['1.4.4', '1.4.5']],
+    [51, ['1.4.6', '1.4.7']],
+    [60, ['1.5', '1.5.1']],
+    [61, ['1.5.2']],
+    [73, ['1.6.1']],
+    [74, ['1.6.2']],
+    [78, ['1.6.4']]
+];
+
+const PROTOCOLS = new Map(RELEASES);
+const LEGACY_PROTOCOLS = new Map(LEGACY_RELEASES);
+
+const LATEST_RELEASE = RELEASES[RELEASES.length - 1][1].slice(-1)[0];
+const RELEASE_NAMES = RELEASES.flatMap(([, releases]) => releases);
+
+const VERSION = /\b(\d+)\.(\d+)(?:\.(\d+|x))?\b/g;
+
+// "1.20" → [1, 20, 0]; "1.20.x" → [1, 20, null]
+function parseVersion(text) {
+    const match = String(text).match(/^(\d+)\.(\d+)(?:\.(\d+|x))?$/i);
+    if (!match) return null;
+    return [Number(match[1]), Number(match[2]), match[3] === undefined ? 0 : match[3].toLowerCase() === 'x' ? null : Number(match[3])];
+}
+
+function compareVersions(a, b) {
+    const left = parseVersion(a);
+    const right = parseVersion(b);
+    for (let i = 0; i < 3; i++) {
+        const difference = (left[i] ?? 0) - (right[i] ?? 0);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+function releasesForProtocol(protocol, { legacy = false } = {}) {
+    return (legacy ? LEGACY_PROTOCOLS : PROTOCOLS).get(protocol) || null;
+}
+
+// Versions named in free text, in order: "Velocity 3.3.0 (1.7.2-1.21)" → 3.3.0, 1.7.2, 1.21
+function versionsIn(text) {
+    return Array.from(text.matchAll(VERSION), match => match[0]);
+}
+
+// { label, min, max, mismatch } for a status `version` object. Single
+// versions have min === max; proxies report the range they accept.
+// mismatch is set when the name and the protocol disagree.
+function normalizeVersion(version = {}, { edition = 'java', pingType = 'modern', clientProtocol = null } = {}) {
+    const name = typeof version.name === 'string' ? version.name.replace(/§./g, '').trim() : '';
+    const protocol = version.protocol;
+    const unknown = { label: 'Unknown', min: null, max: null, mismatch: false };
+
+    // Bedrock protocol numbers are a separate series; its names are plain versions
+    if (edition === 'bedrock') {
+        const named = versionsIn(name)[0];
+        return named ? { label: named, min: named, max: named, mismatch: false } : unknown;
+    }
+
+    // Beta versions are not comparable with 1.x
+    if (/\bbeta\b/i.test(name)) {
+        return { ...unknown, label: name };
+    }
+
+    // 1.x releases only: "Velocity 3.3.0" names the proxy's own version.
+    // "Requires MC 1.20" is what proxies tell clients they do not accept.
+    const named = versionsIn(name).filter(text => text.startsWith('1.'));
+    if (named.length >= 2 || /\d\.x\b/i.test(name) || /^requires mc/i.test(name)) {
+        const sorted = named.map(text => text.replace(/\.x$/i, '')).sort(compareVersions);
+        if (sorted.length > 0) {
+            const min = sorted[0];
+            const max = sorted[sorted.length - 1];
+            return { label: min === max ? min : `${min}-${max}`, min, max, mismatch: false };
+        }
+    }
+
+    const nameVersion = named[0] || null;
+    const releases = typeof protocol === 'number' ? releasesForProtocol(protocol, { legacy: pingType === 'legacy' }) : null;
+
+    if (releases && nameVersion && releases.includes(nameVersion)) {
+        return { label: nameVersion, min: nameVersion, max: nameVersion, mismatch: false };
+    }
+
+    // Proxies echo the client's protocol, so there the name is the better guess;
+    // with no release in the name ("Velocity 3.3.0-SNAPSHOT") there is none
+    const echoed = clientProtocol !== null && protocol === clientProtocol && pingType !== 'legacy';
+    if (echoed && !nameVersion) {
+        return unknown;
+    }
+    if (releases && !echoed) {
+        const latest = releases[releases.length - 1];
+        return { label: latest, min: latest, max: latest, mismatch: nameVersion !== null };
+    }
+
+    if (nameVersion) {
+        return { label: nameVersion, min: nameVersion, max: nameVersion, mismatch: releases !== null };
+    }
+    return unknown;
+}
+
+const COMPARATOR = /^(>=|<=|>|<|=)?(\d+\.\d+(?:\.(?:\d+|x))?)$/i;
+
+// ">=1.20 <1.21 || 1.8" → [['>=1.20', '<1.21'], ['1.8']]
+function splitRange(range) {
+    return String(range).split('||').map(alternative =>
+        alternative.trim().replace(/(>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).filter(Boolean));
+}
+
+// One comparator: ">=1.20", "<1.21", "=1.20.4", "1.20" (1.20 and its patches), "1.20.x"
+function matchesComparator(version, comparator) {
+    const match = comparator.match(COMPARATOR);
+    if (!match || !parseVersion(version)) return false;
+
+    const [operator = '', target] = [match[1], match[2]];
+    const difference = compareVersions(version, target);
+    switch (operator) {
+        case '>=': return difference >= 0;
+        case '<=': return difference <= 0;
+        case '>': return difference > 0;
+        case '<': return difference < 0;
+        case '=': return difference === 0;
+        default: {
+            // Bare "1.20" or "1.20.x": same minor, any patch
+            const [major, minor, patch] = parseVersion(target);
+            const parsed = parseVersion(version);
+            const wildcard = patch === null || !/^\d+\.\d+\.\d+$/.test(target);
+            return parsed[0] === major && parsed[1] === minor && (wildcard || parsed[2] === patch);
+        }
+    }
+}
+
+// "A B" needs both, "A || B" either
+function satisfies(version, range) {
+    if (!version) return false;
+    return splitRange(range).some(comparators =>
+        comparators.length > 0 && comparators.every(comparator => matchesComparator(version, comparator)));
+}
+
+// Throws on a filter that would silently match nothing: "^1.20", "1.20 - 1.21", []
+function validateVersionFilter(filter) {
+    if (filter === null || filter === undefined) return;
+    const ranges = Array.isArray(filter) ? filter : [filter];
+    if (ranges.length === 0) {
+        throw new Error('Invalid versionFilter: the list is empty');
+    }
+
+    for (const range of ranges) {
+        if (typeof range !== 'string') {
+            throw new Error(`Invalid versionFilter ${JSON.stringify(range)}: expected a string like ">=1.20 <1.21"`);
+        }
+        for (const comparators of splitRange(range)) {
+            if (comparators.length === 0) {
+                throw new Error(`Invalid versionFilter "${range}": empty alternative`);
+            }
+            const unreadable = comparators.find(comparator => !COMPARATOR.test(comparator));
+            if (unreadable) {
+                throw new Error(`Invalid versionFilter "${range}": cannot read "${unreadable}" ` +
+                    '(use >=, <=, >, <, = or a bare version such as 1.20 or 1.20.x)');
+            }
+        }
+    }
+}
+
+// A proxy matches when any release inside the range it accepts does
+function matchesVersionFilter(normalized, filter) {
+    const { min, max } = normalized;
+    if (!min || !max) return false;
+
+    const candidates = min === max ? [min] : [min, max, ...RELEASE_NAMES.filter(release =>
+        compareVersions(release, min) > 0 && compareVersions(release, max) < 0)];
+    const ranges = Array.isArray(filter) ? filter : [filter];
+    return ranges.some(range => candidates.some(version => satisfies(version, range)));
+}
+
+// Within the last `minors` minor releases of the newest one in the table
+function isRecentVersion(version, minors = 4) {
+    const parsed = version && parseVersion(version);
+    if (!parsed) return false;
+    const [major, latestMinor] = parseVersion(LATEST_RELEASE);
+    return parsed[0] === major && parsed[1] > latestMinor - minors;
+}
+
+module.exports = {
+    LATEST_RELEASE,
+    releasesForProtocol,
+    normalizeVersion,
+    compareVersions,
+    satisfies,
+    matchesVersionFilter,
+    validateVersionFilter,
+    isRecentVersion
+};
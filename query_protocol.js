@@ -0,0 +1,139 @@
+/**
+ * 🔎 Query Protocol (GameSpy4 over UDP)
+ * Full stat for servers running with enable-query=true
+ *
+ * ✨ Provides:
+ * - Handshake and full stat request builders
+ * - Challenge token and full stat response parsers
+ * - Plugin string parsing ("Software: Plugin A 1.0; Plugin B")
+ */
+
+const { ProtocolError } = require('./mc_protocol');
+
+const QUERY = {
+    MAGIC: Buffer.from([0xFE, 0xFD]),
+    TYPE_HANDSHAKE: 0x09,
+    TYPE_STAT: 0x00,
+
+    // Session IDs only use the low nibble of each byte
+    SESSION_MASK: 0x0F0F0F0F,
+
+    // Fixed padding around the K/V and player sections of the full stat
+    KV_PADDING: Buffer.from('splitnum\x00\x80\x00', 'latin1'),
+    PLAYER_PADDING: Buffer.from('\x01player_\x00\x00', 'latin1')
+};
+
+function createHandshakeRequest(sessionId) {
+    const packet = Buffer.alloc(7);
+    QUERY.MAGIC.copy(packet, 0);
+    packet.writeUInt8(QUERY.TYPE_HANDSHAKE, 2);
+    packet.writeInt32BE(sessionId & QUERY.SESSION_MASK, 3);
+    return packet;
+}
+
+// Full stat is a basic stat request padded with four extra bytes
+function createFullStatRequest(sessionId, challengeToken) {
+    const packet = Buffer.alloc(15);
+    QUERY.MAGIC.copy(packet, 0);
+    packet.writeUInt8(QUERY.TYPE_STAT, 2);
+    packet.writeInt32BE(sessionId & QUERY.SESSION_MASK, 3);
+    packet.writeInt32BE(challengeToken, 7);
+    return packet;
+}
+
+function readHeader(buffer, expectedType, sessionId) {
+    if (buffer.length < 5) {
+        throw new ProtocolError('Query response is too short');
+    }
+    if (buffer[0] !== expectedType) {
+        throw new ProtocolError(`Unexpected query response type 0x${buffer[0].toString(16)}`);
+    }
+    if (buffer.readInt32BE(1) !== (sessionId & QUERY.SESSION_MASK)) {
+        throw new ProtocolError('Query session ID mismatch');
+    }
+}
+
+// 0x09 | session | challenge token as a null-terminated decimal string
+function parseHandshakeResponse(buffer, sessionId) {
+    readHeader(buffer, QUERY.TYPE_HANDSHAKE, sessionId);
+
+    const end = buffer.indexOf(0x00, 5);
+    const token = parseInt(buffer.toString('latin1', 5, end === -1 ? buffer.length : end), 10);
+
+    if (Number.isNaN(token)) {
+        throw new ProtocolError('Invalid query challenge token');
+    }
+
+    // Tokens above 2^31 are sent as unsigned decimal, the request wants int32
+    return token | 0;
+}
+
+function parseFullStatResponse(buffer, sessionId) {
+    readHeader(buffer, QUERY.TYPE_STAT, sessionId);
+
+    let offset = 5;
+    if (!buffer.subarray(offset, offset + QUERY.KV_PADDING.length).equals(QUERY.KV_PADDING)) {
+        throw new ProtocolError('Missing full stat padding');
+    }
+    offset += QUERY.KV_PADDING.length;
+
+    const readString = () => {
+        const end = buffer.indexOf(0x00, offset);
+        if (end === -1) {
+            throw new ProtocolError('Unterminated string in full stat');
+        }
+        const value = buffer.toString('utf8', offset, end);
+        offset = end + 1;
+        return value;
+    };
+
+    // K/V section ends with an empty key
+    const values = {};
+    for (let key = readString(); key !== ''; key = readString()) {
+        values[key] = readString();
+    }
+
+    const players = [];
+    if (buffer.subarray(offset, offset + QUERY.PLAYER_PADDING.length).equals(QUERY.PLAYER_PADDING)) {
+        offset += QUERY.PLAYER_PADDING.length;
+        for (let name = readString(); name !== ''; name = readString()) {
+            players.push(name);
+        }
+    }
+
+    return { values, players };
+}
+
+// "Paper on Bukkit 1.20.4-R0.1: LuckPerms 5.4.102; EssentialsX 2.20.1"
+function parsePlugins(pluginString) {
+    if (!pluginString) {
+        return { software: null, plugins: [] };
+    }
+
+    const separator = pluginString.indexOf(': ');
+    if (separator === -1) {
+        return { software: pluginString.trim(), plugins: [] };
+    }
+
+    const plugins = pluginString.substring(separator + 2)
+        .split('; ')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const match = entry.match(/^(.*\S)\s+(v?\d\S*)$/);
+            return match
+                ? { name: match[1], version: match[2] }
+                : { name: entry, version: null };
+        });
+
+    return { software: pluginString.substring(0, separator).trim(), plugins };
+}
+
+module.exports = {
+    QUERY,
+    createHandshakeRequest,
+    createFullStatRequest,
+    parseHandshakeResponse,
+    parseFullStatResponse,
+    parsePlugins
+};
@@ -0,0 +1,269 @@
+/**
+ * ⚡ Rate Limiter
+ * Token buckets for the global packet rate and per-network budgets
+ *
+ * ✨ Provides:
+ * - Global packets-per-second bucket
+ * - Per-prefix budgets (e.g. every /24 and every /16), buckets created on demand
+ * - Per-network budgets for configured CIDR ranges or ASNs
+ * - Deferral queue so limited targets are rescheduled instead of dropped
+ * - Bucket level snapshots for the dashboard and exports, merged across workers
+ */
+
+const CIDRSet = require('./cidr_set');
+const { getPrefixKey } = require('./ip_utils');
+
+// Capacity may be below one token (a budget split across workers); a probe
+// then waits for a full bucket and leaves the bucket in debt
+class TokenBucket {
+    constructor(rate, burst = rate, now = Date.now(), tokens = burst) {
+        this.rate = rate;
+        this.capacity = burst;
+        this.tokens = Math.min(tokens, this.capacity);
+        this.updatedAt = now;
+    }
+
+    refill(now = Date.now()) {
+        const elapsed = now - this.updatedAt;
+        if (elapsed > 0) {
+            this.tokens = Math.min(this.capacity, this.tokens + (elapsed * this.rate) / 1000);
+            this.updatedAt = now;
+        }
+    }
+
+    level(now = Date.now()) {
+        this.refill(now);
+        return this.tokens;
+    }
+
+    // Milliseconds until `cost` tokens are available; a cost above the
+    // burst size passes on a full bucket and is paid off by the refill
+    waitTime(cost = 1, now = Date.now()) {
+        const needed = Math.min(cost, this.capacity);
+        this.refill(now);
+        if (this.tokens >= needed) return 0;
+        return Math.ceil(((needed - this.tokens) * 1000) / this.rate);
+    }
+
+    take(cost = 1) {
+        this.tokens -= cost;
+    }
+
+    give(cost = 1) {
+        this.tokens = Math.min(this.capacity, this.tokens + cost);
+    }
+
+    isFull(now = Date.now()) {
+        return this.level(now) >= this.capacity;
+    }
+}
+
+// Min-heap of items ordered by the time they may be retried
+class DeferralQueue {
+    constructor() {
+        this.heap = [];
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    push(item, readyAt) {
+        const heap = this.heap;
+        heap.push({ item, readyAt });
+
+        let index = heap.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (heap[parent].readyAt <= heap[index].readyAt) break;
+            [heap[parent], heap[index]] = [heap[index], heap[parent]];
+            index = parent;
+        }
+    }
+
+    // Earliest item whose time has come, or null
+    popReady(now = Date.now()) {
+        const heap = this.heap;
+        if (heap.length === 0 || heap[0].readyAt > now) return null;
+
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < heap.length && heap[left].readyAt < heap[smallest].readyAt) smallest = left;
+                if (right < heap.length && heap[right].readyAt < heap[smallest].readyAt) smallest = right;
+                if (smallest === index) break;
+                [heap[smallest], heap[index]] = [heap[index], heap[smallest]];
+                index = smallest;
+            }
+        }
+
+        return top.item;
+    }
+
+    items() {
+        return this.heap.map(entry => entry.item);
+    }
+}
+
+class RateLimiter {
+    // `phase` (0 to 1) starts network and prefix buckets that many tokens
+    // short, so workers sharing a budget take turns instead of all firing
+    // on a fresh bucket at once
+    constructor({ packetsPerSecond = 1000, burst, prefixBudgets = [], networkBudgets = [], phase = 0 } = {}) {
+        this.global = new TokenBucket(packetsPerSecond, burst || packetsPerSecond);
+        this.phase = phase;
+
+        this.prefixBudgets = prefixBudgets.map(budget => ({
+            name: budget.name || `/${budget.prefixV4}`,
+            prefixV4: budget.prefixV4,
+            prefixV6: budget.prefixV6,
+            rate: budget.rate,
+            burst: budget.burst || budget.rate,
+            buckets: new Map()
+        }));
+
+        this.networkBudgets = networkBudgets.map(budget => ({
+            name: budget.name || (budget.asn ? `AS${budget.asn}` : (budget.ranges || []).join(', ')),
+            asn: budget.asn ? Number(String(budget.asn).replace(/^AS/i, '')) : null,
+            ranges: new CIDRSet(budget.ranges || []),
+            bucket: this.createBucket(budget.rate, budget.burst || budget.rate)
+        }));
+
+        this.asnResolver = null;
+        this.deferred = new DeferralQueue();
+    }
+
+    createBucket(rate, burst, now = Date.now()) {
+        return new TokenBucket(rate, burst, now, burst - this.phase);
+    }
+
+    // ASN budgets only apply once something can map IPs to ASNs
+    setAsnResolver(resolver) {
+        this.asnResolver = resolver;
+    }
+
+    // Global tokens are drawn when a target is pulled, before it is resolved
+    takeGlobal(cost = 1) {
+        if (this.global.waitTime(cost) > 0) return false;
+        this.global.take(cost);
+        return true;
+    }
+
+    refundGlobal(cost = 1) {
+        this.global.give(cost);
+    }
+
+    bucketsFor(ip, now = Date.now()) {
+        const buckets = [];
+
+        for (const budget of this.prefixBudgets) {
+            const key = getPrefixKey(ip, budget.prefixV4, budget.prefixV6);
+            let bucket = budget.buckets.get(key);
+            if (!bucket) {
+                bucket = this.createBucket(budget.rate, budget.burst, now);
+                budget.buckets.set(key, bucket);
+            }
+            buckets.push(bucket);
+        }
+
+        if (this.networkBudgets.length > 0) {
+            const asn = this.asnResolver ? this.asnResolver(ip) : null;
+            for (const budget of this.networkBudgets) {
+                if (budget.ranges.contains(ip) || (budget.asn !== null && Number(asn) === budget.asn)) {
+                    buckets.push(budget.bucket);
+                }
+            }
+        }
+
+        return buckets;
+    }
+
+    // Returns 0 and spends tokens from every matching bucket, or the
+    // milliseconds to wait before the address fits all its budgets
+    acquire(ip, cost = 1, now = Date.now()) {
+        const buckets = this.bucketsFor(ip, now);
+        const wait = Math.max(0, ...buckets.map(bucket => bucket.waitTime(cost, now)));
+
+        if (wait === 0) {
+            buckets.forEach(bucket => bucket.take(cost));
+        }
+        return wait;
+    }
+
+    defer(item, wait, now = Date.now()) {
+        this.deferred.push(item, now + wait);
+    }
+
+    // A full bucket allows at least what a missing one would
+    cleanup(now = Date.now()) {
+        let removed = 0;
+        for (const budget of this.prefixBudgets) {
+            for (const [key, bucket] of budget.buckets.entries()) {
+                if (bucket.isFull(now)) {
+                    budget.buckets.delete(key);
+                    removed++;
+                }
+            }
+        }
+        return removed;
+    }
+
+    snapshot(now = Date.now()) {
+        return {
+            global: {
+                level: Math.max(0, Math.floor(this.global.level(now))),
+                capacity: this.global.capacity,
+                rate: this.global.rate
+            },
+            prefixes: this.prefixBudgets.map(budget => {
+                let exhausted = 0;
+                for (const bucket of budget.buckets.values()) {
+                    if (bucket.waitTime(1, now) > 0) exhausted++;
+                }
+                return { name: budget.name, rate: budget.rate, tracked: budget.buckets.size, exhausted };
+            }),
+            networks: this.networkBudgets.map(budget => ({
+                name: budget.name,
+                level: Math.max(0, Math.floor(budget.bucket.level(now))),
+                capacity: budget.bucket.capacity,
+                rate: budget.bucket.rate
+            })),
+            deferred: this.deferred.size
+        };
+    }
+}
+
+// Combined view of several limiters (one per worker process)
+function mergeSnapshots(snapshots) {
+    const valid = snapshots.filter(Boolean);
+    if (valid.length === 0) return null;
+
+    const [first, ...rest] = valid.map(snapshot => JSON.parse(JSON.stringify(snapshot)));
+    for (const snapshot of rest) {
+        first.global.level += snapshot.global.level;
+        first.global.capacity += snapshot.global.capacity;
+        first.global.rate += snapshot.global.rate;
+        first.deferred += snapshot.deferred;
+        snapshot.prefixes.forEach((prefix, index) => {
+            first.prefixes[index].tracked += prefix.tracked;
+            first.prefixes[index].exhausted += prefix.exhausted;
+        });
+        snapshot.networks.forEach((network, index) => {
+            first.networks[index].level += network.level;
+            first.networks[index].capacity += network.capacity;
+        });
+    }
+
+    return first;
+}
+
+module.exports = RateLimiter;
+module.exports.mergeSnapshots = mergeSnapshots;
+module.exports.TokenBucket = TokenBucket;
+module.exports.DeferralQueue = DeferralQueue;
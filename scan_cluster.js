@@ -0,0 +1,232 @@
+/**
+ * 🧵 Scan Cluster
+ * Primary/worker split for multi-process scanning over IPC
+ *
+ * ✨ Provides:
+ * - Shard assignment: worker N walks every workerCount-th target
+ * - Worker respawn with the crashed shard's last checkpoint and in-flight targets
+ * - Per-worker config (concurrency and rate budgets divided evenly)
+ * - Worker-side message loop (start, progress, result, done, stop)
+ *
+ * The primary owns dedupe, persistence, sessions and the dashboard; workers
+ * only probe and stream what they find.
+ */
+
+const cluster = require('cluster');
+const EventEmitter = require('events');
+
+const MESSAGE = {
+    START: 'start',
+    PROGRESS: 'progress',
+    RESULT: 'result',
+    DONE: 'done',
+    STOP: 'stop'
+};
+
+// Counters that workers report as deltas; gauges are reported as-is
+const WORKER_COUNTERS = [
+    'totalScanned',
+    'timeoutCount',
+    'connectionErrors',
+    'blockedSkipped',
+    'rateLimited',
+    'errorsEncountered'
+];
+
+// Workers that ignore STOP are killed after this long
+const STOP_TIMEOUT = 10000;
+
+// Concurrency and every rate budget split so the cluster as a whole
+// stays within the configured limits. A burst below workerCount leaves each
+// worker less than one token; the rate limiter staggers them by shard.
+function workerConfig(config, workerCount) {
+    const share = value => (value ? value / workerCount : value);
+    const shareBudget = budget => ({ ...budget, rate: share(budget.rate), burst: share(budget.burst || budget.rate) });
+
+    return {
+        ...config,
+        maxConcurrent: Math.max(1, Math.ceil(config.maxConcurrent / workerCount)),
+        packetsPerSecond: share(config.packetsPerSecond),
+        packetBurst: share(config.packetBurst),
+        prefixBudgets: (config.prefixBudgets || []).map(shareBudget),
+        networkBudgets: (config.networkBudgets || []).map(shareBudget),
+        maxScans: Number.isFinite(config.maxScans) ? Math.ceil(config.maxScans / workerCount) : null,
+        workerCount: 1,
+        // The primary owns the terminal
+        logLevel: 'silent'
+    };
+}
+
+class ClusterCoordinator extends EventEmitter {
+    constructor({ workerCount, config, seed, shards = null, exec, maxRestarts = 5 }) {
+        super();
+        this.workerCount = workerCount;
+        this.config = workerConfig(config, workerCount);
+        this.seed = seed;
+        this.exec = exec;
+        this.maxRestarts = maxRestarts;
+        this.stopping = false;
+        this.finished = null;
+
+        this.shards = Array.from({ length: workerCount }, (_, index) => {
+            const saved = shards && shards[index];
+            return {
+                index,
+                state: saved?.state || null,
+                inFlight: saved?.inFlight || [],
+                progress: saved?.progress || null,
+                done: saved?.done || false,
+                failed: false,
+                restarts: 0,
+                worker: null,
+                gauges: { activeConnections: 0, rateLimits: null }
+            };
+        });
+    }
+
+    // Resolves once every shard is done (or stopped) and all workers have exited
+    start() {
+        if (!this.finished) {
+            this.finished = new Promise(resolve => {
+                this.resolveFinished = resolve;
+            });
+
+            if (this.exec) {
+                cluster.setupPrimary({ exec: this.exec });
+            }
+            this.shards.filter(shard => !shard.done).forEach(shard => this.spawn(shard));
+            this.checkFinished();
+        }
+        return this.finished;
+    }
+
+    spawn(shard) {
+        const worker = cluster.fork();
+        shard.worker = worker;
+
+        worker.on('online', () => {
+            worker.send({
+                type: MESSAGE.START,
+                config: this.config,
+                seed: this.seed,
+                shard: { index: shard.index, count: this.workerCount },
+                state: shard.state,
+                inFlight: shard.inFlight
+            });
+        });
+
+        worker.on('message', message => this.handleMessage(shard, message));
+        // IPC write errors after a worker dies surface through 'exit' instead
+        worker.on('error', () => {});
+        worker.on('exit', (code, signal) => this.handleExit(shard, worker, code, signal));
+    }
+
+    handleMessage(shard, message) {
+        switch (message.type) {
+            case MESSAGE.PROGRESS:
+            case MESSAGE.DONE:
+                shard.state = message.state;
+                shard.inFlight = message.inFlight;
+                shard.progress = message.progress;
+                shard.gauges = message.gauges;
+                if (message.type === MESSAGE.DONE) {
+                    shard.done = true;
+                }
+                this.emit('progress', shard, message.counters);
+                break;
+            case MESSAGE.RESULT:
+                this.emit('result', message.server, shard);
+                break;
+        }
+    }
+
+    // A crashed worker's shard restarts from its last checkpoint
+    handleExit(shard, worker, code, signal) {
+        if (shard.worker !== worker) return;
+        shard.worker = null;
+        shard.gauges = { activeConnections: 0, rateLimits: null };
+
+        if (!shard.done && !this.stopping) {
+            if (shard.restarts < this.maxRestarts) {
+                shard.restarts++;
+                this.emit('workerCrashed', shard, code, signal);
+                this.spawn(shard);
+                return;
+            }
+            shard.failed = true;
+            this.emit('shardFailed', shard);
+        }
+
+        this.checkFinished();
+    }
+
+    checkFinished() {
+        const running = this.shards.some(shard => shard.worker);
+        const pending = this.shards.some(shard => !shard.done && !shard.failed);
+
+        if (!running && (this.stopping || !pending) && this.resolveFinished) {
+            this.resolveFinished();
+            this.resolveFinished = null;
+        }
+    }
+
+    // Workers finish their in-flight probes and send a final checkpoint
+    stop() {
+        this.stopping = true;
+
+        for (const shard of this.shards) {
+            const worker = shard.worker;
+            if (!worker || shard.done || !worker.isConnected()) continue;
+
+            worker.send({ type: MESSAGE.STOP });
+            setTimeout(() => {
+                if (shard.worker === worker) worker.kill();
+            }, STOP_TIMEOUT).unref();
+        }
+
+        this.checkFinished();
+        return this.finished || Promise.resolve();
+    }
+
+    get activeWorkers() {
+        return this.shards.filter(shard => shard.worker).length;
+    }
+
+    // Session checkpoint: everything needed to respawn each shard
+    snapshot() {
+        return this.shards.map(({ index, state, inFlight, progress, done }) => ({ index, state, inFlight, progress, done }));
+    }
+}
+
+// Worker side: wait for an assignment, scan it, report back
+function runWorker(createScanner) {
+    // Ctrl+C reaches the whole process group; the primary sends STOP instead
+    process.on('SIGINT', () => {});
+    process.on('disconnect', () => process.exit(0));
+
+    process.once('message', async (message) => {
+        if (message.type !== MESSAGE.START) return;
+
+        const scanner = createScanner(message.config);
+        process.on('message', (control) => {
+            if (control.type === MESSAGE.STOP) scanner.stopWorker();
+        });
+
+        try {
+            await scanner.startWorker(message, report => new Promise(resolve => process.send(report, () => resolve())));
+        } catch (error) {
+            console.error(`Worker ${message.shard.index} failed: ${error.message}`);
+            process.exit(1);
+        }
+
+        process.disconnect();
+    });
+}
+
+module.exports = {
+    MESSAGE,
+    WORKER_COUNTERS,
+    workerConfig,
+    ClusterCoordinator,
+    runWorker
+};
@@ -0,0 +1,285 @@
+/**
+ * 📡 Server Monitor
+ * Re-checks known servers on a schedule and tracks how they change
+ *
+ * ✨ Provides:
+ * - Per-server check schedule (min-heap on the next check time)
+ * - Online / offline state with an offline threshold of N consecutive failures
+ * - Uptime history, version and MOTD change history
+ * - Downsampled player count series with activity metrics (see player_series)
+ * - 'change' events: online, offline, version, motd
+ * - Atomic state file so history survives restarts
+ */
+
+const fs = require('fs').promises;
+const EventEmitter = require('events');
+const { DeferralQueue } = require('./rate_limiter');
+const { serverKey } = require('./server_store');
+const { DEFAULT_RETENTION, createSeries, addSample, compact, summarizeSeries } = require('./player_series');
+
+// Caps per history list so long-running monitors stay bounded
+const DEFAULT_HISTORY_LIMIT = 2000;
+
+function pushBounded(list, entry, limit) {
+    list.push(entry);
+    if (list.length > limit) list.splice(0, list.length - limit);
+}
+
+class ServerMonitor extends EventEmitter {
+    constructor({ stateFile, interval = 600000, offlineAfter = 3, historyLimit = DEFAULT_HISTORY_LIMIT, retention = DEFAULT_RETENTION }) {
+        super();
+        this.stateFile = stateFile;
+        this.interval = interval;
+        this.offlineAfter = Math.max(1, offlineAfter);
+        this.historyLimit = historyLimit;
+        this.retention = retention;
+
+        this.servers = new Map();
+        this.queue = new DeferralQueue();
+        this.dirty = false;
+    }
+
+    // explicitPort: a listed "host:port" skips the SRV lookup, like the client
+    createState({ ip, port, hostname = null, edition = 'java', explicitPort = false }) {
+        return {
+            key: serverKey({ ip, port, hostname, edition }),
+            ip,
+            port,
+            hostname,
+            edition,
+            explicitPort,
+            status: 'unknown',
+            consecutiveFailures: 0,
+            checks: 0,
+            successes: 0,
+            lastChecked: null,
+            lastOnline: null,
+            nextCheckAt: 0,
+            version: null,
+            protocol: null,
+            motd: null,
+            history: {
+                status: [],
+                versions: [],
+                motds: []
+            },
+            players: createSeries()
+        };
+    }
+
+    async load() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+            for (const state of saved.servers || []) {
+                this.upgradeState(state);
+                this.servers.set(state.key, state);
+            }
+        } catch (error) {
+            // First run, nothing monitored yet
+        }
+    }
+
+    // Older state files kept a flat list of player samples
+    upgradeState(state) {
+        if (state.players) return;
+
+        state.players = createSeries();
+        for (const sample of state.history.players || []) {
+            state.players.raw.push(sample);
+        }
+        delete state.history.players;
+        compact(state.players, Date.now(), this.retention);
+    }
+
+    // Track exactly these servers: new ones are checked right away, saved
+    // ones keep their history and schedule, the rest are dropped
+    sync(entries) {
+        const wanted = new Map();
+        for (const entry of entries) {
+            const state = this.servers.get(serverKey(entry)) || this.createState(entry);
+            wanted.set(state.key, state);
+        }
+
+        this.servers = wanted;
+        this.queue = new DeferralQueue();
+        for (const state of this.servers.values()) {
+            this.queue.push(state.key, state.nextCheckAt);
+        }
+        this.dirty = true;
+    }
+
+    get size() {
+        return this.servers.size;
+    }
+
+    // Next server whose check is due, or null
+    nextDue(now = Date.now()) {
+        for (;;) {
+            const key = this.queue.popReady(now);
+            if (key === null) return null;
+
+            const state = this.servers.get(key);
+            if (state) return state;
+        }
+    }
+
+    schedule(state, at) {
+        state.nextCheckAt = at;
+        this.queue.push(state.key, at);
+    }
+
+    remove(key) {
+        if (this.servers.delete(key)) this.dirty = true;
+    }
+
+    // Forget servers that opted out, history included; returns how many went.
+    // Hostname entries are matched by the address they last resolved to.
+    removeServers(predicate) {
+        let removed = 0;
+        for (const state of Array.from(this.servers.values())) {
+            if (!predicate(state)) continue;
+            this.servers.delete(state.key);
+            removed++;
+        }
+        if (removed > 0) this.dirty = true;
+        return removed;
+    }
+
+    // serverInfo is the enhanced ping result, or null when the check failed
+    recordCheck(state, serverInfo, now = Date.now()) {
+        const at = new Date(now).toISOString();
+
+        state.checks++;
+        state.lastChecked = at;
+        this.dirty = true;
+
+        if (serverInfo) {
+            this.recordSuccess(state, serverInfo, at);
+        } else {
+            this.recordFailure(state, at);
+        }
+
+        this.schedule(state, now + this.interval);
+    }
+
+    recordSuccess(state, serverInfo, at) {
+        const history = state.history;
+
+        state.successes++;
+        state.consecutiveFailures = 0;
+        state.lastOnline = at;
+        state.ip = serverInfo.ip;
+
+        addSample(state.players, Date.parse(at), serverInfo.players.online, serverInfo.players.max, this.retention);
+
+        if (state.status !== 'online') {
+            const previous = state.status;
+            this.setStatus(state, 'online', at);
+            // A server's first check only establishes its baseline
+            if (previous === 'offline') {
+                this.emitChange(state, 'online', { from: previous, to: 'online' }, at);
+            }
+        }
+
+        if (state.version !== serverInfo.version) {
+            const from = state.version;
+            state.version = serverInfo.version;
+            state.protocol = serverInfo.protocol;
+            pushBounded(history.versions, { at, version: serverInfo.version, protocol: serverInfo.protocol }, this.historyLimit);
+            if (from !== null) {
+                this.emitChange(state, 'version', { from, to: serverInfo.version }, at);
+            }
+        }
+
+        if (state.motd !== serverInfo.motd) {
+            const from = state.motd;
+            state.motd = serverInfo.motd;
+            pushBounded(history.motds, { at, motd: serverInfo.motd }, this.historyLimit);
+            if (from !== null) {
+                this.emitChange(state, 'motd', { from, to: serverInfo.motd }, at);
+            }
+        }
+    }
+
+    // One missed check is not an outage; N in a row is
+    recordFailure(state, at) {
+        state.consecutiveFailures++;
+
+        if (state.status !== 'offline' && state.consecutiveFailures >= this.offlineAfter) {
+            const previous = state.status;
+            this.setStatus(state, 'offline', at);
+            this.emitChange(state, 'offline', { from: previous, to: 'offline', failures: state.consecutiveFailures }, at);
+        }
+    }
+
+    setStatus(state, status, at) {
+        state.status = status;
+        pushBounded(state.history.status, { at, status }, this.historyLimit);
+    }
+
+    emitChange(state, type, detail, at) {
+        this.emit('change', { type, key: state.key, server: state, at, ...detail });
+    }
+
+    // Share of tracked time spent online, from the status transitions
+    uptimeRatio(state, now = Date.now()) {
+        const transitions = state.history.status;
+        if (transitions.length === 0) return null;
+
+        let online = 0;
+        for (let i = 0; i < transitions.length; i++) {
+            const start = Date.parse(transitions[i].at);
+            const end = i + 1 < transitions.length ? Date.parse(transitions[i + 1].at) : now;
+            if (transitions[i].status === 'online') online += end - start;
+        }
+
+        const total = now - Date.parse(transitions[0].at);
+        return total > 0 ? online / total : (transitions[0].status === 'online' ? 1 : 0);
+    }
+
+    // Player activity plus uptime, used for quality scores and exports
+    activity(state, now = Date.now()) {
+        return { ...summarizeSeries(state.players, now), uptime: this.uptimeRatio(state, now) };
+    }
+
+    counts() {
+        const counts = { online: 0, offline: 0, unknown: 0 };
+        for (const state of this.servers.values()) {
+            counts[state.status]++;
+        }
+        return counts;
+    }
+
+    // Per-server summary for exports
+    summary(now = Date.now()) {
+        return Array.from(this.servers.values()).map(state => ({
+            key: state.key,
+            status: state.status,
+            checks: state.checks,
+            successes: state.successes,
+            lastOnline: state.lastOnline,
+            version: state.version,
+            activity: this.activity(state, now),
+            versionChanges: Math.max(0, state.history.versions.length - 1),
+            motdChanges: Math.max(0, state.history.motds.length - 1)
+        }));
+    }
+
+    // Temp file + rename, like session checkpoints
+    async save() {
+        if (!this.dirty) return;
+        this.dirty = false;
+
+        const tempFile = `${this.stateFile}.${process.pid}.tmp`;
+        const data = { updatedAt: new Date().toISOString(), servers: Array.from(this.servers.values()) };
+        try {
+            await fs.writeFile(tempFile, JSON.stringify(data));
+            await fs.rename(tempFile, this.stateFile);
+        } catch (error) {
+            this.dirty = true;
+            throw error;
+        }
+    }
+}
+
+module.exports = ServerMonitor;
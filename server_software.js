@@ -0,0 +1,349 @@
+/**
+ * 🧬 Server Software
+ * Fingerprints server software and mod loaders from structured status fields
+ *
+ * ✨ Provides:
+ * - version.name prefixes: Paper, Purpur, Spigot, Folia, hybrids, proxies...
+ * - Forge/NeoForge mod lists from modinfo (1.7-1.12) and forgeData,
+ *   including the compressed FML3 `d` field (1.18+)
+ * - Chat fields: preventsChatReports, enforcesSecureChat
+ * - Proxy version ranges and protocols echoed back from the handshake
+ * - version.name / protocol mismatches (see protocol_versions)
+ * - GS4 query software strings, when the query stage ran
+ *
+ * The result is { name, type, version, minecraftVersion, confidence,
+ * mods, evidence }, with type one of vanilla, plugins, modded, hybrid,
+ * proxy or bedrock and confidence high, medium or low.
+ */
+
+const { releasesForProtocol } = require('./protocol_versions');
+
+const CONFIDENCE_RANK = { low: 1, medium: 2, high: 3 };
+
+// version.name prefixes, matched as whole words: [prefix, type, name]
+const NAME_PREFIXES = [
+    // Proxies report the range of client versions they accept
+    ['Velocity', 'proxy'],
+    ['BungeeCord', 'proxy'],
+    ['Waterfall', 'proxy'],
+    ['Travertine', 'proxy'],
+    ['FlameCord', 'proxy'],
+    ['XCord', 'proxy'],
+    ['TCPShield', 'proxy'],
+    // Forge with Bukkit plugins
+    ['Mohist', 'hybrid'],
+    ['Arclight', 'hybrid'],
+    ['Magma', 'hybrid'],
+    ['CatServer', 'hybrid'],
+    ['Ketting', 'hybrid'],
+    ['Youer', 'hybrid'],
+    ['Crucible', 'hybrid'],
+    ['Thermos', 'hybrid'],
+    ['KCauldron', 'hybrid'],
+    ['Cauldron', 'hybrid'],
+    // Plugin servers
+    ['Folia', 'plugins'],
+    ['Purpur', 'plugins'],
+    ['Pufferfish', 'plugins'],
+    ['Leaves', 'plugins'],
+    ['Leaf', 'plugins'],
+    ['Gale', 'plugins'],
+    ['Tuinity', 'plugins'],
+    ['Airplane', 'plugins'],
+    ['PaperSpigot', 'plugins', 'Paper'],
+    ['Paper', 'plugins'],
+    ['Spigot', 'plugins'],
+    ['CraftBukkit', 'plugins'],
+    ['SpongeVanilla', 'plugins', 'Sponge'],
+    ['SpongeForge', 'hybrid', 'Sponge'],
+    ['Sponge', 'plugins'],
+    ['Glowstone', 'plugins'],
+    ['Minestom', 'plugins'],
+    // Mod loaders that name themselves (most leave version.name alone)
+    ['NeoForge', 'modded'],
+    ['Forge', 'modded'],
+    ['Fabric', 'modded'],
+    ['Quilt', 'modded']
+];
+
+// Bedrock pongs carry the level name, which some server software fills in
+const BEDROCK_LEVEL_NAMES = [
+    [/^geyser/i, 'Geyser', 'proxy'],
+    [/^pocketmine/i, 'PocketMine-MP', 'plugins'],
+    [/^powernukkitx?/i, 'PowerNukkitX', 'plugins'],
+    [/^nukkit/i, 'Nukkit', 'plugins']
+];
+
+// Forge's marker for server-side-only mods, sent instead of a version
+const IGNORE_SERVER_ONLY = /^OHNOES/;
+
+// enforcesSecureChat is part of every vanilla status response since 1.19.1
+const SECURE_CHAT_PROTOCOL = 760;
+
+const MINECRAFT_VERSION = /\b(1\.\d+(?:\.\d+)?(?:\.x)?(?:\s*[-–/]\s*1\.\d+(?:\.\d+)?(?:\.x)?)?)\b/;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function byteReader(bytes) {
+    let offset = 0;
+
+    const readByte = () => {
+        if (offset >= bytes.length) throw new Error('forgeData ended early');
+        return bytes[offset++];
+    };
+    const readVarInt = () => {
+        let value = 0;
+        for (let shift = 0; shift < 35; shift += 7) {
+            const byte = readByte();
+            value |= (byte & 0x7f) << shift;
+            if ((byte & 0x80) === 0) return value;
+        }
+        throw new Error('forgeData VarInt too long');
+    };
+    const readString = () => {
+        const length = readVarInt();
+        if (offset + length > bytes.length) throw new Error('forgeData ended early');
+        const text = bytes.toString('utf8', offset, offset + length);
+        offset += length;
+        return text;
+    };
+
+    return {
+        readBoolean: () => readByte() !== 0,
+        readShort: () => (readByte() << 8) | readByte(),
+        readVarInt,
+        readString
+    };
+}
+
+// FML3 packs its binary mod list 15 bits per UTF-16 char; the first two
+// chars are the byte length
+function decodeForgeData(encoded) {
+    const length = (encoded.charCodeAt(0) & 0x7fff) | ((encoded.charCodeAt(1) & 0x7fff) << 15);
+    // Each char carries under two bytes; a bigger claimed length is bogus
+    if (length > (encoded.length - 2) * 2) throw new Error('forgeData length out of range');
+    const bytes = Buffer.alloc(length);
+
+    let written = 0;
+    let buffer = 0;
+    let bits = 0;
+    for (let i = 2; i < encoded.length && written < length; i++) {
+        buffer |= (encoded.charCodeAt(i) & 0x7fff) << bits;
+        bits += 15;
+        while (bits >= 8 && written < length) {
+            bytes[written++] = buffer & 0xff;
+            buffer >>>= 8;
+            bits -= 8;
+        }
+    }
+    // The encoder's last char can drop the top bits of the final byte; Forge
+    // pads from what is left, as here
+    while (written < length) {
+        bytes[written++] = buffer & 0xff;
+        buffer >>>= 8;
+    }
+
+    const reader = byteReader(bytes);
+    const truncated = reader.readBoolean();
+    const count = reader.readShort();
+    const mods = [];
+
+    for (let i = 0; i < count; i++) {
+        const flags = reader.readVarInt();
+        const id = reader.readString();
+        const version = (flags & 1) ? null : reader.readString();
+        for (let channel = 0; channel < flags >>> 1; channel++) {
+            reader.readString();
+            reader.readString();
+            reader.readBoolean();
+        }
+        mods.push({ id, version });
+    }
+
+    return { truncated, mods };
+}
+
+function cleanModVersion(version) {
+    if (typeof version !== 'string' || version === 'ANY' || IGNORE_SERVER_ONLY.test(version)) return null;
+    return version;
+}
+
+// [{ id, version }] from whichever mod list the server sent, or null
+function extractMods(rawInfo) {
+    if (Array.isArray(rawInfo.modinfo?.modList)) {
+        return rawInfo.modinfo.modList.map(mod => ({ id: String(mod.modid), version: cleanModVersion(mod.version) }));
+    }
+
+    const forgeData = rawInfo.forgeData;
+    if (!forgeData) return null;
+
+    if (typeof forgeData.d === 'string') {
+        try {
+            return decodeForgeData(forgeData.d).mods.map(mod => ({ id: mod.id, version: cleanModVersion(mod.version) }));
+        } catch (error) {
+            // Corrupt or unknown encoding: still a Forge server, mods unknown
+            return [];
+        }
+    }
+
+    if (Array.isArray(forgeData.mods)) {
+        return forgeData.mods.map(mod => ({ id: String(mod.modId), version: cleanModVersion(mod.modmarker) }));
+    }
+    return [];
+}
+
+function matchPrefix(versionName) {
+    for (const [prefix, type, name = prefix] of NAME_PREFIXES) {
+        const match = versionName.match(new RegExp(`^${escapeRegExp(prefix)}(?:[\\s/-]+(.*))?$`, 'i'));
+        if (match) return { name, type, rest: (match[1] || '').trim() };
+    }
+    return null;
+}
+
+// Context: { edition, pingType, clientProtocol }
+function fingerprintServer(rawInfo, { edition = 'java', pingType = 'modern', clientProtocol = null } = {}) {
+    const versionName = typeof rawInfo.version?.name === 'string' ? rawInfo.version.name.replace(/§./g, '').trim() : '';
+    const protocol = rawInfo.version?.protocol;
+    const minecraftVersion = versionName.match(MINECRAFT_VERSION)?.[1] || null;
+
+    const candidates = [];
+    const evidence = [];
+    const consider = (candidate, reason) => {
+        candidates.push(candidate);
+        evidence.push(reason);
+    };
+
+    if (edition === 'bedrock') {
+        const levelName = rawInfo.bedrock?.subMotd || '';
+        const known = BEDROCK_LEVEL_NAMES.find(([pattern]) => pattern.test(levelName));
+        if (known) {
+            consider({ name: known[1], type: known[2], confidence: 'medium' }, `level name "${levelName}"`);
+        } else {
+            consider({ name: 'Bedrock Dedicated Server', type: 'bedrock', confidence: 'low' }, 'Bedrock pong without a known level name');
+        }
+        return finish(candidates, evidence, { minecraftVersion: versionName || null, mods: [] });
+    }
+
+    const mods = extractMods(rawInfo);
+
+    const prefixed = versionName ? matchPrefix(versionName) : null;
+    if (prefixed) {
+        const candidate = { name: prefixed.name, type: prefixed.type, confidence: 'high' };
+        // "Velocity 3.3.0-SNAPSHOT" names its own version; most others name the game's
+        if (prefixed.type === 'proxy' && prefixed.rest && !MINECRAFT_VERSION.test(prefixed.rest)) {
+            candidate.version = prefixed.rest;
+        }
+        consider(candidate, `version.name prefix "${prefixed.name}"`);
+    }
+
+    if (mods) {
+        const neoforge = mods.find(mod => mod.id === 'neoforge');
+        const forge = mods.find(mod => mod.id === 'forge') || mods.find(mod => mod.id === 'FML');
+        const source = rawInfo.modinfo ? 'modinfo' : 'forgeData';
+        if (neoforge) {
+            consider({ name: 'NeoForge', type: 'modded', version: neoforge.version, confidence: 'high' }, `${source} lists neoforge`);
+        } else {
+            consider({ name: 'Forge', type: 'modded', version: forge?.version || null, confidence: 'high' }, `${source} with ${mods.length} mods`);
+        }
+    }
+
+    // "1.8.x-1.21.x" or "Requires MC 1.8 / 1.21": a proxy that hides its name
+    if (!prefixed && pingType !== 'legacy' && (/\d\.x\b|\d\s*[-–]\s*1\.\d/.test(versionName) || /^requires mc/i.test(versionName))) {
+        consider({ name: 'Proxy', type: 'proxy', confidence: 'medium' }, `version range "${versionName}"`);
+    }
+
+    // Proxies answer with the client's own protocol when they accept it
+    if (clientProtocol !== null && protocol === clientProtocol && /x|[-–/]/.test(minecraftVersion)) {
+        evidence.push(`protocol ${protocol} echoed from the handshake`);
+    }
+
+    if (rawInfo.modpackData) {
+        const modpack = rawInfo.modpackData.name ? `modpack "${rawInfo.modpackData.name}"` : 'modpackData';
+        consider({ name: mods ? 'Forge' : 'Fabric', type: 'modded', confidence: 'medium' }, modpack);
+    }
+
+    // Added by the No Chat Reports mod (most often Fabric) or the FreedomChat plugin
+    if (rawInfo.preventsChatReports === true) {
+        consider({ name: 'Fabric', type: 'modded', confidence: 'low' }, 'preventsChatReports');
+    }
+
+    // A name the protocol does not belong to: ViaVersion, or a proxy
+    // rewriting the name
+    const plainVersion = /^\d+\.\d+(\.\d+)?$/.test(versionName);
+    const releases = typeof protocol === 'number' ? releasesForProtocol(protocol, { legacy: pingType === 'legacy' }) : null;
+    const mismatch = plainVersion && releases && !releases.includes(versionName) && protocol !== clientProtocol;
+    if (mismatch) {
+        evidence.push(`version.name "${versionName}" but protocol ${protocol} is ${releases[releases.length - 1]}`);
+    }
+
+    // Only a guess when nothing more specific turned up
+    if (plainVersion && !mismatch && candidates.length === 0) {
+        const secureChat = typeof rawInfo.enforcesSecureChat === 'boolean';
+        if (typeof protocol === 'number' && protocol >= SECURE_CHAT_PROTOCOL && !secureChat) {
+            consider({ name: 'Proxy', type: 'proxy', confidence: 'low' }, 'no enforcesSecureChat on a 1.19.1+ protocol');
+        } else {
+            consider(
+                { name: 'Vanilla', type: 'vanilla', confidence: secureChat ? 'medium' : 'low' },
+                secureChat ? 'plain version.name with enforcesSecureChat' : 'plain version.name'
+            );
+        }
+    }
+
+    return finish(candidates, evidence, { minecraftVersion, mods: mods || [] });
+}
+
+// The most confident candidate wins; ties go to the one found first
+function finish(candidates, evidence, { minecraftVersion, mods }) {
+    let best = null;
+    for (const candidate of candidates) {
+        if (!best || CONFIDENCE_RANK[candidate.confidence] > CONFIDENCE_RANK[best.confidence]) best = candidate;
+    }
+
+    return {
+        name: best?.name || 'Unknown',
+        type: best?.type || 'unknown',
+        version: best?.version || null,
+        minecraftVersion,
+        confidence: best?.confidence || 'low',
+        mods,
+        evidence
+    };
+}
+
+// "Paper on Bukkit 1.20.4-R0.1" or "CraftBukkit on Bukkit 1.8.8-R0.1-SNAPSHOT"
+// from the GS4 query; it names the software even behind a custom version.name
+function applyQuerySoftware(software, querySoftware) {
+    if (!querySoftware) return software;
+
+    const evidence = [...software.evidence, `query software "${querySoftware}"`];
+    const prefixed = matchPrefix(querySoftware.replace(/\s+on\s+.*$/i, ''));
+    if (!prefixed) return { ...software, evidence };
+
+    // Bukkit plugins on a Forge server make it a hybrid, whatever it calls itself
+    if (software.type === 'modded' && prefixed.type === 'plugins') {
+        return { ...software, type: 'hybrid', evidence };
+    }
+
+    // Query comes from the backend itself, so it outranks a proxy guess
+    if (software.confidence === 'high' && software.type !== 'proxy' && software.name !== prefixed.name) {
+        return { ...software, evidence };
+    }
+
+    return {
+        ...software,
+        name: prefixed.name,
+        type: prefixed.type,
+        version: software.type === 'proxy' ? null : software.version,
+        minecraftVersion: querySoftware.match(MINECRAFT_VERSION)?.[1] || software.minecraftVersion,
+        confidence: 'high',
+        evidence
+    };
+}
+
+module.exports = {
+    fingerprintServer,
+    applyQuerySoftware,
+    decodeForgeData
+};
@@ -0,0 +1,540 @@
+/**
+ * 🗄️ Server Store
+ * Pluggable persistence for discovered servers
+ *
+ * ✨ Backends:
+ * - file: pipe-delimited TXT plus optional JSON records, appended as JSONL
+ *   during the run and written out as one JSON document on close
+ * - sqlite: embedded database with servers, observations and scans tables
+ *
+ * Every backend implements open(), saveServer(serverInfo, scanId),
+ * recordObservation(serverInfo, scanId), recordSighting(serverInfo, scanId),
+ * recordEvent(change), loadKnownServers(), loadRecords(),
+ * updateNetworks(assignments), removeServers(predicate), startScan(scan),
+ * finishScan(id, summary), flush() and close(). Writes are buffered and
+ * flushed in batches; callers flush on an interval and on shutdown.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { formatHostPort } = require('./ip_utils');
+const { parseTarget } = require('./target_resolver');
+
+const DEFAULT_BATCH_SIZE = 200;
+
+// One row per edition and address (virtual hosts by name)
+function serverKey(serverInfo) {
+    return `${serverInfo.edition || 'java'}:${serverInfo.hostname || formatHostPort(serverInfo.ip, serverInfo.port)}`;
+}
+
+// Write to a temp file, then rename, so a crash never leaves half a file
+async function writeAtomic(file, data) {
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, data);
+    await fs.rename(tempFile, file);
+}
+
+class FileStore {
+    constructor({ outputFile, exportFormats = ['txt'], batchSize = DEFAULT_BATCH_SIZE }) {
+        this.outputFile = outputFile;
+        this.jsonFile = exportFormats.includes('json') ? outputFile.replace('.txt', '.json') : null;
+        this.recordsFile = this.jsonFile ? outputFile.replace('.txt', '.jsonl') : null;
+        this.batchSize = batchSize;
+        this.pendingLines = [];
+        this.pendingRecords = [];
+        this.flushing = Promise.resolve();
+    }
+
+    // Records are appended to the JSONL file as they come in; a JSON document
+    // from a run before the JSONL file existed seeds it once
+    async open() {
+        if (!this.recordsFile) return;
+
+        try {
+            await fs.access(this.recordsFile);
+            return;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        let servers = [];
+        try {
+            servers = JSON.parse(await fs.readFile(this.jsonFile, 'utf8')).servers || [];
+        } catch (error) {
+            // No earlier document, or an unreadable one: start empty
+        }
+        await this.writeRecords(servers);
+    }
+
+    // "[2001:db8::1]:25565|1.20.4|..." so IPv6 colons never read as a port
+    formatServerLine(serverInfo) {
+        return [
+            formatHostPort(serverInfo.ip, serverInfo.port),
+            serverInfo.version,
+            `${serverInfo.players.online}/${serverInfo.players.max}`,
+            serverInfo.motd.replace(/\n/g, ' ').substring(0, 50),
+            serverInfo.country,
+            serverInfo.qualityScore,
+            serverInfo.timestamp,
+            serverInfo.edition,
+            serverInfo.hostname || '',
+            serverInfo.favicon?.phash || '',
+            serverInfo.network || ''
+        ].join('|');
+    }
+
+    // Lines written before ports were recorded start with the bare address;
+    // their port is null and callers fall back to the edition's default
+    parseServerLine(line) {
+        const fields = line.split('|');
+        const { host, port } = parseTarget(fields[0], null);
+        return { ip: host, port, hostname: fields[8] || null, edition: fields[7] || 'java' };
+    }
+
+    async saveServer(serverInfo) {
+        this.pendingLines.push(this.formatServerLine(serverInfo));
+
+        if (this.recordsFile) {
+            this.pendingRecords.push(JSON.stringify(serverInfo));
+        }
+
+        if (this.pendingLines.length >= this.batchSize) {
+            await this.flush();
+        }
+    }
+
+    // Flushes run one after another so appends never interleave
+    flush() {
+        this.flushing = this.flushing.then(() => this.writePending());
+        return this.flushing;
+    }
+
+    async writePending() {
+        if (this.pendingLines.length > 0) {
+            const lines = this.pendingLines;
+            this.pendingLines = [];
+            await fs.appendFile(this.outputFile, lines.map(line => line + '\n').join(''));
+        }
+
+        if (this.pendingRecords.length > 0) {
+            const records = this.pendingRecords;
+            this.pendingRecords = [];
+            await fs.appendFile(this.recordsFile, records.map(record => record + '\n').join(''));
+        }
+    }
+
+    // A crash mid-append can leave a partial last line; it is skipped
+    async readRecords() {
+        let data;
+        try {
+            data = await fs.readFile(this.recordsFile, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const records = [];
+        for (const line of data.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                // Torn write
+            }
+        }
+        return records;
+    }
+
+    async writeRecords(records) {
+        await writeAtomic(this.recordsFile, records.map(record => JSON.stringify(record) + '\n').join(''));
+    }
+
+    // The JSON document is built from the records once, not on every flush
+    async writeDocument() {
+        const servers = await this.readRecords();
+        await writeAtomic(this.jsonFile, JSON.stringify({ servers, lastUpdated: new Date().toISOString() }, null, 2));
+    }
+
+    async loadKnownServers() {
+        try {
+            const data = await fs.readFile(this.outputFile, 'utf8');
+            return data.split('\n').filter(line => line.trim()).map(line => this.parseServerLine(line));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    // Full records live in the JSONL file only; the TXT list is a summary
+    async loadRecords() {
+        if (!this.recordsFile) return [];
+        await this.flush();
+        return this.readRecords();
+    }
+
+    // Network IDs by serverKey, e.g. after regrouping earlier records.
+    // TXT lines are append-only and keep the ID they were written with.
+    async updateNetworks(assignments) {
+        if (!this.recordsFile) return;
+        await this.flush();
+
+        const records = await this.readRecords();
+        let changed = false;
+        for (const server of records) {
+            const network = assignments.get(serverKey(server)) ?? null;
+            if ((server.network ?? null) !== network) {
+                server.network = network;
+                changed = true;
+            }
+        }
+        if (changed) await this.writeRecords(records);
+    }
+
+    // Returns the removed { ip, port, hostname, edition } entries
+    async removeServers(predicate) {
+        await this.flush();
+
+        const removed = [];
+        let lines;
+        try {
+            lines = (await fs.readFile(this.outputFile, 'utf8')).split('\n').filter(line => line.trim());
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            lines = [];
+        }
+
+        const kept = lines.filter(line => {
+            const server = this.parseServerLine(line);
+            if (!predicate(server)) return true;
+            removed.push(server);
+            return false;
+        });
+
+        if (removed.length > 0) {
+            await writeAtomic(this.outputFile, kept.map(line => line + '\n').join(''));
+        }
+
+        if (this.recordsFile) {
+            const records = await this.readRecords();
+            const keptRecords = records.filter(server => !predicate(server));
+            if (keptRecords.length !== records.length) await this.writeRecords(keptRecords);
+        }
+
+        return removed;
+    }
+
+    // Re-checks of known servers; the TXT list only records discoveries
+    // and monitor history lives in the monitor state file
+    async recordObservation() {}
+
+    async recordSighting() {}
+
+    async recordEvent() {}
+
+    // The file backend keeps no scan history
+    async startScan() {
+        return null;
+    }
+
+    async finishScan() {}
+
+    async close() {
+        await this.flush();
+        if (this.jsonFile) await this.writeDocument();
+    }
+}
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS servers (
+        key TEXT PRIMARY KEY,
+        ip TEXT NOT NULL,
+        port INTEGER NOT NULL,
+        hostname TEXT,
+        edition TEXT NOT NULL,
+        version TEXT,
+        protocol INTEGER,
+        motd TEXT,
+        country TEXT,
+        players_online INTEGER,
+        players_max INTEGER,
+        quality_score INTEGER,
+        network TEXT,
+        first_seen TEXT NOT NULL,
+        last_seen TEXT NOT NULL,
+        data TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS scans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT,
+        mode TEXT,
+        status TEXT,
+        started_at TEXT NOT NULL,
+        ended_at TEXT,
+        total_scanned INTEGER NOT NULL DEFAULT 0,
+        total_found INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS observations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        server_key TEXT NOT NULL REFERENCES servers(key) ON DELETE CASCADE,
+        scan_id INTEGER REFERENCES scans(id),
+        observed_at TEXT NOT NULL,
+        version TEXT,
+        protocol INTEGER,
+        players_online INTEGER,
+        players_max INTEGER,
+        connect_ms INTEGER,
+        status_ms INTEGER,
+        ping_ms INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS server_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        server_key TEXT NOT NULL,
+        occurred_at TEXT NOT NULL,
+        type TEXT NOT NULL,
+        from_value TEXT,
+        to_value TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_servers_version ON servers(version);
+    CREATE INDEX IF NOT EXISTS idx_servers_country ON servers(country);
+    CREATE INDEX IF NOT EXISTS idx_servers_players ON servers(players_online);
+    CREATE INDEX IF NOT EXISTS idx_observations_server ON observations(server_key, observed_at);
+    CREATE INDEX IF NOT EXISTS idx_server_events_server ON server_events(server_key, occurred_at);
+`;
+
+class SqliteStore {
+    constructor({ databaseFile, batchSize = DEFAULT_BATCH_SIZE }) {
+        // "~/..." paths from config files
+        this.databaseFile = databaseFile.replace(/^~(?=$|[\\/])/, os.homedir());
+        this.batchSize = batchSize;
+        this.db = null;
+        this.pending = [];
+        this.pendingEvents = [];
+    }
+
+    async open() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error("SQLite storage needs the 'better-sqlite3' package (npm install better-sqlite3)");
+        }
+
+        await fs.mkdir(path.dirname(this.databaseFile), { recursive: true });
+
+        this.db = new Database(this.databaseFile);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+        this.db.pragma('foreign_keys = ON');
+        this.db.exec(SCHEMA);
+        this.migrate();
+
+        this.statements = {
+            upsertServer: this.db.prepare(`
+                INSERT INTO servers (key, ip, port, hostname, edition, version, protocol, motd, country,
+                    players_online, players_max, quality_score, network, first_seen, last_seen, data)
+                VALUES (@key, @ip, @port, @hostname, @edition, @version, @protocol, @motd, @country,
+                    @playersOnline, @playersMax, @qualityScore, @network, @seenAt, @seenAt, @data)
+                ON CONFLICT(key) DO UPDATE SET
+                    ip = excluded.ip,
+                    version = excluded.version,
+                    protocol = excluded.protocol,
+                    motd = excluded.motd,
+                    country = excluded.country,
+                    players_online = excluded.players_online,
+                    players_max = excluded.players_max,
+                    quality_score = excluded.quality_score,
+                    network = excluded.network,
+                    last_seen = excluded.last_seen,
+                    data = excluded.data
+            `),
+            insertObservation: this.db.prepare(`
+                INSERT INTO observations (server_key, scan_id, observed_at, version, protocol,
+                    players_online, players_max, connect_ms, status_ms, ping_ms)
+                VALUES (@key, @scanId, @seenAt, @version, @protocol,
+                    @playersOnline, @playersMax, @connectTime, @statusTime, @pingTime)
+            `),
+            insertEvent: this.db.prepare(`
+                INSERT INTO server_events (server_key, occurred_at, type, from_value, to_value)
+                VALUES (@key, @at, @type, @from, @to)
+            `),
+            knownServers: this.db.prepare('SELECT key, ip, port, hostname, edition FROM servers'),
+            records: this.db.prepare('SELECT data FROM servers WHERE data IS NOT NULL'),
+            setNetwork: this.db.prepare(`
+                UPDATE servers SET network = @network, data = json_set(data, '$.network', @network)
+                WHERE key = @key AND network IS NOT @network
+            `),
+            deleteServer: this.db.prepare('DELETE FROM servers WHERE key = ?'),
+            deleteEvents: this.db.prepare('DELETE FROM server_events WHERE server_key = ?'),
+            startScan: this.db.prepare(`
+                INSERT INTO scans (session_id, mode, status, started_at)
+                VALUES (@sessionId, @mode, 'running', @startedAt)
+            `),
+            finishScan: this.db.prepare(`
+                UPDATE scans SET status = @status, ended_at = @endedAt,
+                    total_scanned = @totalScanned, total_found = @totalFound
+                WHERE id = @id
+            `)
+        };
+
+        this.writeBatch = this.db.transaction((rows, events) => {
+            for (const row of rows) {
+                if (!row.sightingOnly) this.statements.upsertServer.run(row);
+                this.statements.insertObservation.run(row);
+            }
+            for (const event of events) {
+                this.statements.insertEvent.run(event);
+            }
+        });
+    }
+
+    // Columns added after the first release; CREATE TABLE IF NOT EXISTS
+    // leaves existing databases without them
+    migrate() {
+        const columns = this.db.prepare('PRAGMA table_info(servers)').all().map(column => column.name);
+        if (!columns.includes('network')) {
+            this.db.exec('ALTER TABLE servers ADD COLUMN network TEXT');
+        }
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_servers_network ON servers(network)');
+    }
+
+    toRow(serverInfo, scanId) {
+        const { raw, ...data } = serverInfo;
+        return {
+            key: serverKey(serverInfo),
+            scanId: scanId ?? null,
+            ip: serverInfo.ip,
+            port: serverInfo.port,
+            hostname: serverInfo.hostname || null,
+            edition: serverInfo.edition || 'java',
+            version: serverInfo.version,
+            protocol: Number.isInteger(serverInfo.protocol) ? serverInfo.protocol : null,
+            motd: serverInfo.motd,
+            country: serverInfo.country,
+            playersOnline: serverInfo.players.online,
+            playersMax: serverInfo.players.max,
+            qualityScore: serverInfo.qualityScore,
+            network: serverInfo.network || null,
+            connectTime: serverInfo.connectTime ?? null,
+            statusTime: serverInfo.statusTime ?? null,
+            pingTime: serverInfo.pingTime ?? null,
+            seenAt: serverInfo.timestamp || new Date().toISOString(),
+            data: JSON.stringify(data)
+        };
+    }
+
+    // Each sighting updates the server row and adds an observation
+    async saveServer(serverInfo, scanId = null) {
+        this.pending.push(this.toRow(serverInfo, scanId));
+
+        if (this.pending.length >= this.batchSize) {
+            await this.flush();
+        }
+    }
+
+    // A monitor check is a sighting like any other
+    async recordObservation(serverInfo, scanId = null) {
+        await this.saveServer(serverInfo, scanId);
+    }
+
+    // A re-sighting during a scan: an observation row, the server row stays
+    // as first recorded. Queued with saves so it lands after its server row.
+    async recordSighting(serverInfo, scanId = null) {
+        this.pending.push({ ...this.toRow(serverInfo, scanId), sightingOnly: true });
+
+        if (this.pending.length >= this.batchSize) {
+            await this.flush();
+        }
+    }
+
+    // State changes from monitor mode (online, offline, version, motd)
+    async recordEvent(change) {
+        this.pendingEvents.push({
+            key: change.key,
+            at: change.at,
+            type: change.type,
+            from: change.from === null || change.from === undefined ? null : String(change.from),
+            to: change.to === null || change.to === undefined ? null : String(change.to)
+        });
+    }
+
+    async flush() {
+        if (!this.db || (this.pending.length === 0 && this.pendingEvents.length === 0)) return;
+
+        const rows = this.pending;
+        const events = this.pendingEvents;
+        this.pending = [];
+        this.pendingEvents = [];
+        this.writeBatch(rows, events);
+    }
+
+    async loadKnownServers() {
+        return this.statements.knownServers.all();
+    }
+
+    async loadRecords() {
+        await this.flush();
+        return this.statements.records.all().map(row => JSON.parse(row.data));
+    }
+
+    async updateNetworks(assignments) {
+        await this.flush();
+        const keys = this.statements.knownServers.all().map(server => server.key);
+        this.db.transaction(() => {
+            keys.forEach(key => this.statements.setNetwork.run({ key, network: assignments.get(key) ?? null }));
+        })();
+    }
+
+    async removeServers(predicate) {
+        await this.flush();
+
+        const removed = this.statements.knownServers.all().filter(server => predicate(server));
+        this.db.transaction(() => {
+            removed.forEach(server => {
+                this.statements.deleteServer.run(server.key);
+                this.statements.deleteEvents.run(server.key);
+            });
+        })();
+
+        return removed;
+    }
+
+    async startScan({ sessionId = null, mode = null } = {}) {
+        const result = this.statements.startScan.run({ sessionId, mode, startedAt: new Date().toISOString() });
+        return Number(result.lastInsertRowid);
+    }
+
+    async finishScan(id, { status = 'completed', totalScanned = 0, totalFound = 0 } = {}) {
+        if (!this.db || id === null) return;
+        this.statements.finishScan.run({ id, status, endedAt: new Date().toISOString(), totalScanned, totalFound });
+    }
+
+    async close() {
+        if (!this.db) return;
+        await this.flush();
+        this.db.close();
+        this.db = null;
+    }
+}
+
+function createServerStore(config) {
+    switch (config.storage) {
+        case 'file':
+            return new FileStore(config);
+        case 'sqlite':
+            return new SqliteStore(config);
+        default:
+            throw new Error(`Unknown storage backend: ${config.storage}`);
+    }
+}
+
+module.exports = {
+    createServerStore,
+    serverKey,
+    FileStore,
+    SqliteStore
+};
@@ -0,0 +1,98 @@
+/**
+ * 💾 Session Store
+ * Checkpointed scan sessions under ~/.minecraft-scanner/sessions
+ *
+ * ✨ Provides:
+ * - Session IDs and config snapshots
+ * - Atomic checkpoint writes (temp file + rename)
+ * - Loading by full ID or unique prefix, and listing previous runs
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+class SessionStore {
+    constructor(baseDir) {
+        this.dir = path.join(baseDir, 'sessions');
+    }
+
+    // "20260118-142530-a1b2"
+    createId(date = new Date()) {
+        const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15);
+        return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+    }
+
+    create(config) {
+        const now = new Date();
+        return {
+            id: this.createId(now),
+            status: 'running',
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString(),
+            config: { ...config },
+            scanSeed: null,
+            generator: null,
+            inFlight: [],
+            progress: null,
+            counters: { totalScanned: 0, totalFound: 0 }
+        };
+    }
+
+    fileFor(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    // Readers never see a half-written checkpoint
+    async save(session) {
+        await fs.mkdir(this.dir, { recursive: true });
+
+        session.updatedAt = new Date().toISOString();
+        const file = this.fileFor(session.id);
+        const tempFile = `${file}.${process.pid}.tmp`;
+
+        await fs.writeFile(tempFile, JSON.stringify(session, null, 2));
+        await fs.rename(tempFile, file);
+    }
+
+    async load(idOrPrefix) {
+        const ids = await this.listIds();
+        const matches = ids.filter(id => id === idOrPrefix || id.startsWith(idOrPrefix));
+
+        if (matches.length === 0) {
+            throw new Error(`No session matching "${idOrPrefix}"`);
+        }
+        if (matches.length > 1 && !matches.includes(idOrPrefix)) {
+            throw new Error(`Session "${idOrPrefix}" is ambiguous: ${matches.join(', ')}`);
+        }
+
+        const id = matches.includes(idOrPrefix) ? idOrPrefix : matches[0];
+        return JSON.parse(await fs.readFile(this.fileFor(id), 'utf8'));
+    }
+
+    async listIds() {
+        try {
+            const files = await fs.readdir(this.dir);
+            return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -5));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Newest first; unreadable checkpoints are skipped
+    async list() {
+        const sessions = [];
+
+        for (const id of await this.listIds()) {
+            try {
+                sessions.push(JSON.parse(await fs.readFile(this.fileFor(id), 'utf8')));
+            } catch (error) {
+                // Ignore corrupt session files
+            }
+        }
+
+        return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,260 @@
+/**
+ * 🎯 Target Generators
+ * One generator per scan mode, all sharing the same exclusion rules
+ *
+ * ✨ Modes:
+ * - smart-random: mixed strategies (random, cluster, popular ranges)
+ * - random: uniform sampling over ipRanges minus excludeRanges
+ * - range: every address of ipRanges minus excludeRanges exactly once,
+ *   in seeded pseudo-random (or sequential) order
+ * - targeted: explicit host[:port] / CIDR list from targetFile
+ *
+ * Every generator exposes next(), which returns { host, port, explicitPort }
+ * or null once the target space is exhausted. Finite generators also expose
+ * progress as { scanned, total, ratio }. getState()/restore() round-trip
+ * the cursor through JSON for resumable sessions.
+ *
+ * For multi-process scans, shardIndex/shardCount split the range and
+ * targeted modes into disjoint slices (every shardCount-th position).
+ * Random modes need no split: each worker draws independently.
+ */
+
+const crypto = require('crypto');
+const CIDRSet = require('./cidr_set');
+const { parseTarget, isIPAddress } = require('./target_resolver');
+const { parseCIDR, bigIntToIP } = require('./ip_utils');
+const FeistelPermutation = require('./permutation');
+
+// Upper bound on rejected draws before a sampling generator gives up for this call
+const MAX_DRAW_ATTEMPTS = 1000;
+
+// Uniform BigInt in [0, limit)
+function randomBigInt(limit) {
+    if (limit <= BigInt(Number.MAX_SAFE_INTEGER)) {
+        return BigInt(Math.floor(Math.random() * Number(limit)));
+    }
+
+    const bytes = Math.ceil(limit.toString(16).length / 2) + 8;
+    return BigInt(`0x${crypto.randomBytes(bytes).toString('hex')}`) % limit;
+}
+
+function progressOf(scanned, total) {
+    const done = BigInt(scanned);
+    const size = BigInt(total);
+    return {
+        scanned: done,
+        total: size,
+        ratio: size === 0n ? 1 : Number((done * 1000000n) / size) / 1000000
+    };
+}
+
+function toTarget(host, port) {
+    return { host, port, explicitPort: false };
+}
+
+class SmartRandomGenerator {
+    constructor({ port, excludeSet, generateSmartIP }) {
+        this.mode = 'smart-random';
+        this.port = port;
+        this.excludeSet = excludeSet;
+        this.generateSmartIP = generateSmartIP;
+    }
+
+    next() {
+        for (let attempt = 0; attempt < MAX_DRAW_ATTEMPTS; attempt++) {
+            const ip = this.generateSmartIP();
+            if (ip && !this.excludeSet.contains(ip)) {
+                return toTarget(ip, this.port);
+            }
+        }
+        return null;
+    }
+
+    // Stateless: nothing to checkpoint
+    getState() {
+        return {};
+    }
+
+    restore() {}
+}
+
+class RandomRangeGenerator {
+    constructor({ port, allowedSet }) {
+        this.mode = 'random';
+        this.port = port;
+        this.intervals = allowedSet.intervals();
+        this.size = allowedSet.size();
+        this.allowedSet = allowedSet;
+    }
+
+    next() {
+        if (this.size === 0n) return null;
+        return toTarget(this.allowedSet.addressAt(randomBigInt(this.size), this.intervals), this.port);
+    }
+
+    // Stateless: nothing to checkpoint
+    getState() {
+        return {};
+    }
+
+    restore() {}
+}
+
+// Number of positions in [0, total) that belong to a shard
+function shardSize(total, shardIndex, shardCount) {
+    const size = BigInt(total);
+    const index = BigInt(shardIndex);
+    return size > index ? (size - index + BigInt(shardCount) - 1n) / BigInt(shardCount) : 0n;
+}
+
+// Visits every allowed address exactly once; permuted order spreads load
+// across networks and is reproducible from the seed
+class RangeGenerator {
+    constructor({ port, allowedSet, order = 'permuted', seed = '', shardIndex = 0, shardCount = 1 }) {
+        this.mode = 'range';
+        this.port = port;
+        this.allowedSet = allowedSet;
+        this.intervals = allowedSet.intervals();
+        this.total = allowedSet.size();
+        this.shardIndex = BigInt(shardIndex);
+        this.shardCount = BigInt(shardCount);
+        this.cursor = this.shardIndex;
+        this.permutation = order === 'permuted' && this.total > 0n
+            ? new FeistelPermutation(this.total, seed)
+            : null;
+    }
+
+    next() {
+        if (this.cursor >= this.total) return null;
+
+        const offset = this.permutation ? this.permutation.at(this.cursor) : this.cursor;
+        this.cursor += this.shardCount;
+        return toTarget(this.allowedSet.addressAt(offset, this.intervals), this.port);
+    }
+
+    // Counted within this shard
+    get progress() {
+        const total = shardSize(this.total, this.shardIndex, this.shardCount);
+        const done = shardSize(this.cursor < this.total ? this.cursor : this.total, this.shardIndex, this.shardCount);
+        return progressOf(done, total);
+    }
+
+    getState() {
+        return { cursor: this.cursor.toString(), total: this.total.toString() };
+    }
+
+    restore(state) {
+        if (state.total !== undefined && BigInt(state.total) !== this.total) {
+            throw new Error('Saved range cursor does not match the configured ranges');
+        }
+        this.cursor = state.cursor !== undefined ? BigInt(state.cursor) : this.shardIndex;
+    }
+}
+
+class TargetListGenerator {
+    constructor({ port, excludeSet, entries, onInvalid = () => {}, shardIndex = 0, shardCount = 1 }) {
+        this.mode = 'targeted';
+        this.port = port;
+        this.excludeSet = excludeSet;
+        this.entries = entries;
+        this.onInvalid = onInvalid;
+        this.shardIndex = shardIndex;
+        this.shardCount = shardCount;
+        this.cursor = 0;
+        this.range = null;
+    }
+
+    next() {
+        while (this.range || this.cursor < this.entries.length) {
+            // Walk an IPv4/IPv6 CIDR entry address by address
+            if (this.range) {
+                const { cidr, index } = this.range;
+                if (index < cidr.size) {
+                    this.range.index++;
+                    const ip = bigIntToIP(cidr.network + index, cidr.version);
+                    if (!this.excludeSet.contains(ip)) {
+                        return toTarget(ip, this.port);
+                    }
+                    continue;
+                }
+                this.range = null;
+                continue;
+            }
+
+            const index = this.cursor++;
+            if (index % this.shardCount !== this.shardIndex) continue;
+
+            const entry = this.entries[index];
+            try {
+                if (entry.includes('/')) {
+                    this.range = { cidr: parseCIDR(entry), index: 0n };
+                    continue;
+                }
+
+                // Hostnames are checked again once resolved
+                const target = parseTarget(entry, this.port);
+                if (isIPAddress(target.host) && this.excludeSet.contains(target.host)) {
+                    continue;
+                }
+                return target;
+            } catch (error) {
+                this.onInvalid(entry, error);
+            }
+        }
+        return null;
+    }
+
+    // Counted per list entry within this shard; a CIDR entry counts once
+    get progress() {
+        const done = this.cursor - (this.range ? 1 : 0);
+        return progressOf(
+            shardSize(done, this.shardIndex, this.shardCount),
+            shardSize(this.entries.length, this.shardIndex, this.shardCount)
+        );
+    }
+
+    getState() {
+        return {
+            cursor: this.cursor,
+            range: this.range
+                ? { cidr: this.range.cidr.cidr, index: this.range.index.toString() }
+                : null
+        };
+    }
+
+    restore(state) {
+        this.cursor = state.cursor || 0;
+        this.range = state.range
+            ? { cidr: parseCIDR(state.range.cidr), index: BigInt(state.range.index) }
+            : null;
+    }
+}
+
+function createTargetGenerator(mode, options) {
+    const { ipRanges = [], excludeSet } = options;
+
+    switch (mode) {
+        case 'smart-random':
+            return new SmartRandomGenerator(options);
+        case 'random':
+            return new RandomRangeGenerator({ ...options, allowedSet: new CIDRSet(ipRanges).subtract(excludeSet) });
+        case 'range':
+            return new RangeGenerator({ ...options, allowedSet: new CIDRSet(ipRanges).subtract(excludeSet) });
+        case 'targeted':
+            if (!options.entries) {
+                throw new Error("Scan mode 'targeted' requires a targetFile");
+            }
+            return new TargetListGenerator(options);
+        default:
+            throw new Error(`Unknown scan mode: ${mode}`);
+    }
+}
+
+module.exports = {
+    createTargetGenerator,
+    randomBigInt,
+    SmartRandomGenerator,
+    RandomRangeGenerator,
+    RangeGenerator,
+    TargetListGenerator
+};
@@ -0,0 +1,133 @@
+/**
+ * 🧭 Target Resolver
+ * Turns "host[:port]" entries into connectable targets
+ *
+ * ✨ Provides:
+ * - host[:port] parsing for IPv4/IPv6 literals and hostnames
+ * - _minecraft._tcp SRV lookup with priority/weight selection
+ * - A / AAAA resolution through the system resolver (A preferred)
+ * - Target list file loading (one entry per line, # comments)
+ */
+
+const net = require('net');
+const fs = require('fs').promises;
+const dns = require('dns').promises;
+const { normalizeIP } = require('./ip_utils');
+
+const SRV_PREFIX = '_minecraft._tcp.';
+
+// "play.example.net", "play.example.net:25566", "203.0.113.5:25570",
+// "2001:db8::10" and "[2001:db8::10]:25570"
+function parseTarget(entry, defaultPort) {
+    const trimmed = String(entry).trim();
+    let host = trimmed;
+    let portText = null;
+
+    if (trimmed.startsWith('[')) {
+        const close = trimmed.indexOf(']');
+        if (close === -1) {
+            throw new Error(`Unclosed bracket in target "${entry}"`);
+        }
+        host = trimmed.substring(1, close);
+        const rest = trimmed.substring(close + 1);
+        if (rest) {
+            if (!rest.startsWith(':')) {
+                throw new Error(`Unexpected text after address in target "${entry}"`);
+            }
+            portText = rest.substring(1);
+        }
+    } else if (!net.isIPv6(trimmed)) {
+        const separator = trimmed.lastIndexOf(':');
+        if (separator !== -1) {
+            host = trimmed.substring(0, separator);
+            portText = trimmed.substring(separator + 1);
+        }
+    }
+
+    if (portText !== null && (!/^\d{1,5}$/.test(portText) || Number(portText) > 65535)) {
+        throw new Error(`Invalid port in target "${entry}"`);
+    }
+
+    if (!host) {
+        throw new Error(`Missing host in target "${entry}"`);
+    }
+
+    const port = portText !== null ? Number(portText) : null;
+
+    return {
+        host: net.isIPv6(host) ? normalizeIP(host) : host.toLowerCase().replace(/\.$/, ''),
+        port: port ?? defaultPort,
+        explicitPort: port !== null
+    };
+}
+
+function isIPAddress(host) {
+    return net.isIP(host) !== 0;
+}
+
+// Lowest priority wins, ties go to the highest weight
+function selectSrvRecord(records) {
+    if (!records || records.length === 0) return null;
+
+    return [...records].sort((a, b) => a.priority - b.priority || b.weight - a.weight)[0];
+}
+
+// System resolver so /etc/hosts entries work like they do for the game client
+async function resolveAddress(hostname) {
+    const addresses = await dns.lookup(hostname, { all: true });
+    const preferred = addresses.find(address => address.family === 4) || addresses[0];
+
+    if (!preferred) {
+        throw new Error(`No A/AAAA records for ${hostname}`);
+    }
+
+    return preferred.address;
+}
+
+// Resolves { host, port, explicitPort } to { ip, port, hostname, srvTarget, explicitPort }
+async function resolveTarget(target) {
+    const explicitPort = Boolean(target.explicitPort);
+
+    if (isIPAddress(target.host)) {
+        return { ip: target.host, port: target.port, hostname: null, srvTarget: null, explicitPort };
+    }
+
+    let connectHost = target.host;
+    let port = target.port;
+    let srvTarget = null;
+
+    // Clients only consult SRV when no port was given
+    if (!target.explicitPort) {
+        try {
+            const record = selectSrvRecord(await dns.resolveSrv(SRV_PREFIX + target.host));
+            if (record) {
+                connectHost = record.name.replace(/\.$/, '');
+                port = record.port;
+                srvTarget = connectHost;
+            }
+        } catch (error) {
+            // No SRV record, connect to the host itself
+        }
+    }
+
+    const ip = isIPAddress(connectHost) ? connectHost : await resolveAddress(connectHost);
+
+    return { ip, port, hostname: target.host, srvTarget, explicitPort };
+}
+
+async function loadTargetFile(filename) {
+    const data = await fs.readFile(filename, 'utf8');
+
+    return data.split('\n')
+        .map(line => line.replace(/#.*$/, '').trim())
+        .filter(Boolean);
+}
+
+module.exports = {
+    SRV_PREFIX,
+    parseTarget,
+    isIPAddress,
+    selectSrvRecord,
+    resolveTarget,
+    loadTargetFile
+};
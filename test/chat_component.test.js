@@ -0,0 +1,73 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const chalk = require('chalk');
+const { motds } = require('./fixtures/motds.json');
+const {
+    parseLegacyText,
+    flattenComponent,
+    renderPlain,
+    renderAnsi,
+    renderHtml
+} = require('../chat_component');
+
+// Truecolor regardless of the terminal the tests run in
+before(() => {
+    chalk.level = 3;
+});
+
+describe('MOTD corpus', () => {
+    for (const motd of motds) {
+        describe(motd.name, () => {
+            it('renders plain text', () => {
+                assert.equal(renderPlain(motd.description), motd.plain);
+            });
+
+            it('renders ANSI', () => {
+                assert.equal(renderAnsi(motd.description), motd.ansi);
+            });
+
+            it('renders HTML', () => {
+                assert.equal(renderHtml(motd.description), motd.html);
+            });
+        });
+    }
+});
+
+describe('parseLegacyText', () => {
+    it('drops an incomplete §x sequence and reads the rest as ordinary codes', () => {
+        assert.deepEqual(parseLegacyText('§x§F§FRed').map(segment => [segment.text, segment.color]), [['Red', '#FFFFFF']]);
+    });
+
+    it('lets a colour code clear earlier formatting', () => {
+        const [bold, plain] = parseLegacyText('§lA§9B');
+        assert.equal(bold.bold, true);
+        assert.deepEqual(plain, { text: 'B', color: '#5555FF', bold: false, italic: false, underlined: false, strikethrough: false, obfuscated: false });
+    });
+});
+
+describe('flattenComponent', () => {
+    it('stops at the depth limit instead of overflowing the stack', () => {
+        let component = { text: 'x' };
+        for (let i = 0; i < 10000; i++) component = { text: '', extra: [component] };
+        assert.equal(renderPlain(component), '');
+    });
+
+    it('ignores null, unknown types and empty arrays', () => {
+        assert.deepEqual(flattenComponent({ text: 'a', extra: [null, [], 5, true, {}] }).map(segment => segment.text), ['a', '5', 'true']);
+    });
+});
+
+describe('renderAnsi options', () => {
+    it('folds newlines with singleLine', () => {
+        chalk.level = 0;
+        try {
+            assert.equal(renderAnsi('one\ntwo', { singleLine: true }), 'one two');
+        } finally {
+            chalk.level = 3;
+        }
+    });
+
+    it('cuts at maxLength visible characters across segments', () => {
+        assert.equal(renderAnsi('§aabc§cdef', { maxLength: 4 }), `${chalk.hex('#55FF55')('abc')}${chalk.hex('#FF5555')('d')}`);
+    });
+});
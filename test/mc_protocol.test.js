@@ -0,0 +1,202 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fixtures = require('./fixtures/protocol.json');
+const {
+    ProtocolError,
+    encodeVarInt,
+    decodeVarInt,
+    encodeVarLong,
+    decodeVarLong,
+    encodeString,
+    decodeString,
+    createHandshakePacket,
+    createStatusRequestPacket,
+    createPingPacket,
+    PacketReader,
+    parseStatusResponse,
+    parsePongPacket,
+    createLegacyPingPacket,
+    readLegacyKick,
+    parseLegacyKick
+} = require('../mc_protocol');
+
+const bytes = hex => Buffer.from(hex, 'hex');
+
+describe('VarInt', () => {
+    const cases = [
+        [0, '00'],
+        [1, '01'],
+        [127, '7f'],
+        [128, '8001'],
+        [255, 'ff01'],
+        [25565, 'ddc701'],
+        [2097151, 'ffff7f'],
+        [2147483647, 'ffffffff07'],
+        [-1, 'ffffffff0f'],
+        [-2147483648, '8080808008']
+    ];
+
+    for (const [value, hex] of cases) {
+        it(`round-trips ${value}`, () => {
+            assert.equal(encodeVarInt(value).toString('hex'), hex);
+            assert.deepEqual(decodeVarInt(bytes(hex)), { value, bytesRead: hex.length / 2 });
+        });
+    }
+
+    it('reads at an offset and ignores trailing bytes', () => {
+        assert.deepEqual(decodeVarInt(bytes('aa8001bb'), 1), { value: 128, bytesRead: 2 });
+    });
+
+    it('rejects a sixth byte', () => {
+        assert.throws(() => decodeVarInt(bytes('ffffffffff01')), { name: 'ProtocolError', message: /too big/ });
+    });
+
+    it('reports underflow on a truncated value', () => {
+        assert.throws(() => decodeVarInt(bytes('ff')), ProtocolError);
+    });
+});
+
+describe('VarLong', () => {
+    const cases = [
+        [0n, '00'],
+        [2147483647n, 'ffffffff07'],
+        [-1n, 'ffffffffffffffffff01'],
+        [9223372036854775807n, 'ffffffffffffffff7f'],
+        [-9223372036854775808n, '80808080808080808001']
+    ];
+
+    for (const [value, hex] of cases) {
+        it(`round-trips ${value}`, () => {
+            assert.equal(encodeVarLong(value).toString('hex'), hex);
+            assert.deepEqual(decodeVarLong(bytes(hex)), { value, bytesRead: hex.length / 2 });
+        });
+    }
+
+    it('rejects an eleventh byte', () => {
+        assert.throws(() => decodeVarLong(bytes('ffffffffffffffffffff01')), { name: 'ProtocolError', message: /too big/ });
+    });
+});
+
+describe('String', () => {
+    it('prefixes the UTF-8 byte length, not the character count', () => {
+        const encoded = encodeString('§aHi');
+        assert.equal(encoded.toString('hex'), '05c2a7614869');
+        assert.deepEqual(decodeString(encoded), { value: '§aHi', bytesRead: 6 });
+    });
+
+    it('rejects a length past the end of the buffer', () => {
+        assert.throws(() => decodeString(bytes('0a6869')), { message: /underflow/ });
+    });
+});
+
+describe('packet builders', () => {
+    it('builds the handshake byte for byte', () => {
+        for (const { host, port, protocol, hex } of [fixtures.handshake, fixtures.handshakeVirtualHost]) {
+            assert.equal(createHandshakePacket(host, port, protocol).toString('hex'), hex);
+        }
+    });
+
+    it('defaults the handshake to protocol 767', () => {
+        assert.equal(createHandshakePacket('localhost', 25565).toString('hex'), fixtures.handshake.hex);
+    });
+
+    it('builds status request and ping packets', () => {
+        assert.equal(createStatusRequestPacket().toString('hex'), fixtures.statusRequest.hex);
+        assert.equal(createPingPacket(BigInt(fixtures.ping.payload)).toString('hex'), fixtures.ping.hex);
+    });
+});
+
+describe('PacketReader', () => {
+    const response = bytes(fixtures.statusResponse.hex);
+
+    function readInChunks(sizes) {
+        const reader = new PacketReader();
+        let offset = 0;
+        let packet = null;
+
+        for (const size of sizes) {
+            assert.equal(packet, null, 'packet completed before its last byte arrived');
+            reader.push(response.subarray(offset, offset + size));
+            offset += size;
+            packet = reader.nextPacket();
+        }
+        return packet;
+    }
+
+    it('parses a response delivered in one chunk', () => {
+        const status = parseStatusResponse(readInChunks([response.length]));
+        assert.equal(status.version.protocol, 765);
+        assert.equal(status.players.sample[1].name, 'jeb_');
+    });
+
+    it('waits for a response split inside the length prefix', () => {
+        const status = parseStatusResponse(readInChunks([1, 1, 100, response.length - 102]));
+        assert.equal(status.description.text, 'A Minecraft Server');
+    });
+
+    it('reassembles a response fed one byte at a time', () => {
+        const status = parseStatusResponse(readInChunks(Array(response.length).fill(1)));
+        assert.equal(status.players.online, 2);
+    });
+
+    it('keeps bytes of the next packet buffered', () => {
+        const reader = new PacketReader();
+        reader.push(Buffer.concat([response, bytes(fixtures.ping.hex)]));
+
+        parseStatusResponse(reader.nextPacket());
+        assert.equal(parsePongPacket(reader.nextPacket()), BigInt(fixtures.ping.payload));
+        assert.equal(reader.nextPacket(), null);
+    });
+
+    it('rejects a length over the packet limit', () => {
+        const reader = new PacketReader();
+        reader.push(encodeVarInt(2097152));
+        assert.throws(() => reader.nextPacket(), { message: /Invalid packet length/ });
+    });
+
+    it('rejects an unexpected packet ID', () => {
+        const reader = new PacketReader();
+        reader.push(bytes('020500'));
+        assert.throws(() => parseStatusResponse(reader.nextPacket()), ProtocolError);
+    });
+});
+
+describe('legacy ping', () => {
+    it('sends 0xFE 0x01', () => {
+        assert.equal(createLegacyPingPacket().toString('hex'), 'fe01');
+    });
+
+    it('parses a 1.4-1.6 §1 kick', () => {
+        assert.deepEqual(parseLegacyKick(readLegacyKick(bytes(fixtures.legacyKick.hex))), {
+            protocol: 127,
+            version: '1.6.4',
+            motd: 'A Minecraft Server',
+            online: 3,
+            max: 20
+        });
+    });
+
+    it('parses a Beta kick', () => {
+        assert.deepEqual(parseLegacyKick(readLegacyKick(bytes(fixtures.betaKick.hex))), {
+            protocol: null,
+            version: null,
+            motd: 'A Minecraft Server',
+            online: 3,
+            max: 20
+        });
+    });
+
+    it('waits for the whole kick string', () => {
+        const kick = bytes(fixtures.legacyKick.hex);
+        assert.equal(readLegacyKick(kick.subarray(0, 2)), null);
+        assert.equal(readLegacyKick(kick.subarray(0, kick.length - 1)), null);
+    });
+
+    it('rejects a non-kick packet', () => {
+        assert.throws(() => readLegacyKick(bytes('fe01')), ProtocolError);
+    });
+
+    it('rejects a truncated §1 kick', () => {
+        assert.throws(() => parseLegacyKick('§1\u0000127\u00001.6.4'), { message: /Truncated/ });
+    });
+});
@@ -0,0 +1,233 @@
+/**
+ * ⏱️ Probe Throughput Harness
+ * The probe pool against the old batch loop, on local fake servers
+ *
+ * Usage: node test/probe_throughput.js [targets] [concurrency] [timeoutMs]
+ *
+ * Every target is a Server List Ping to 127.0.0.1. Most answer after a short
+ * random delay, some accept and never answer (the probe runs into its
+ * timeout) and some are closed ports (refused, then retried). Both designs
+ * run the same probe and retry policy; only the scheduling differs:
+ *
+ * - batch: up to `concurrency` probes, wait for all of them, pause 10ms,
+ *   repeat; retries sleep 500ms × attempt inside the probe
+ * - pool: ProbePool keeps `concurrency` probes in flight; retries are
+ *   requeued with the same backoff instead of holding a slot
+ *
+ * Not part of npm test: it takes a few seconds and only prints numbers.
+ */
+
+const net = require('net');
+const { performance } = require('perf_hooks');
+const ProbePool = require('../probe_pool');
+const {
+    PacketReader,
+    encodePacket,
+    encodeString,
+    createHandshakePacket,
+    createStatusRequestPacket,
+    parseStatusResponse
+} = require('../mc_protocol');
+
+const TARGETS = Number(process.argv[2]) || 2000;
+const CONCURRENCY = Number(process.argv[3]) || 100;
+const TIMEOUT = Number(process.argv[4]) || 1000;
+const MAX_RETRIES = 2;
+
+const STATUS = JSON.stringify({
+    version: { name: '1.20.4', protocol: 765 },
+    players: { online: 3, max: 20 },
+    description: { text: 'Throughput harness' }
+});
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+// Answers the status request after 5-50ms, like a server a few hops away
+function createAnsweringServer() {
+    return net.createServer(socket => {
+        const reader = new PacketReader();
+        let packets = 0;
+        socket.on('error', () => {});
+        socket.on('data', chunk => {
+            reader.push(chunk);
+            while (reader.nextPacket()) {
+                if (++packets === 2) {
+                    setTimeout(() => socket.end(encodePacket(0x00, encodeString(STATUS))), 5 + Math.random() * 45);
+                }
+            }
+        });
+    });
+}
+
+// Accepts and never answers
+function createSilentServer(sockets) {
+    return net.createServer(socket => {
+        socket.on('error', () => {});
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+}
+
+// A closed port: bind, note the port, release it
+async function closedPort() {
+    const server = net.createServer();
+    const port = await listen(server);
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+// Resolves 'found', 'silent' or 'refused'
+function probe(port) {
+    return new Promise(resolve => {
+        const socket = new net.Socket();
+        const reader = new PacketReader();
+        let done = false;
+
+        const finish = result => {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            socket.destroy();
+            resolve(result);
+        };
+        const timer = setTimeout(() => finish('silent'), TIMEOUT);
+
+        socket.connect(port, '127.0.0.1', () => {
+            socket.write(createHandshakePacket('127.0.0.1', port));
+            socket.write(createStatusRequestPacket());
+        });
+        socket.on('data', chunk => {
+            reader.push(chunk);
+            try {
+                const packet = reader.nextPacket();
+                if (packet) finish(parseStatusResponse(packet) ? 'found' : 'silent');
+            } catch (error) {
+                finish('silent');
+            }
+        });
+        socket.on('error', () => finish('refused'));
+        socket.on('close', () => finish('silent'));
+    });
+}
+
+// 80% answering, 10% silent, 10% closed, interleaved
+function buildTargets(ports) {
+    return Array.from({ length: TARGETS }, (_, i) => {
+        if (i % 10 === 3) return { port: ports.silent, attempt: 0 };
+        if (i % 10 === 7) return { port: ports.closed, attempt: 0 };
+        return { port: ports.answering, attempt: 0 };
+    });
+}
+
+function newCounters() {
+    return { probes: 0, found: 0, silent: 0, refused: 0 };
+}
+
+async function runBatch(targets) {
+    const counters = newCounters();
+    const queue = targets.map(target => ({ ...target }));
+
+    const scan = async (target) => {
+        for (let attempt = 0; ; attempt++) {
+            counters.probes++;
+            const result = await probe(target.port);
+            if (result !== 'refused' || attempt + 1 >= MAX_RETRIES) {
+                counters[result]++;
+                return;
+            }
+            await delay(500 * (attempt + 1));
+        }
+    };
+
+    while (queue.length > 0) {
+        const batch = queue.splice(0, CONCURRENCY);
+        await Promise.allSettled(batch.map(scan));
+        await delay(10);
+    }
+    return counters;
+}
+
+async function runPool(targets) {
+    const counters = newCounters();
+    const queue = targets.map(target => ({ ...target }));
+    const deferred = [];
+
+    const pool = new ProbePool({
+        concurrency: CONCURRENCY,
+        pull: () => {
+            const now = Date.now();
+            const ready = deferred.findIndex(entry => entry.readyAt <= now);
+            if (ready !== -1) return deferred.splice(ready, 1)[0].target;
+            if (queue.length > 0) return queue.shift();
+            return pool.active === 0 && deferred.length === 0 ? ProbePool.DONE : null;
+        },
+        run: async (target) => {
+            counters.probes++;
+            const result = await probe(target.port);
+            if (result === 'refused' && target.attempt + 1 < MAX_RETRIES) {
+                const attempt = target.attempt + 1;
+                deferred.push({ target: { ...target, attempt }, readyAt: Date.now() + 500 * attempt });
+                return;
+            }
+            counters[result]++;
+        }
+    });
+
+    await pool.start();
+    return counters;
+}
+
+async function measure(name, run, targets) {
+    const start = performance.now();
+    const counters = await run(targets);
+    const seconds = (performance.now() - start) / 1000;
+    return { name, seconds, ...counters, rate: targets.length / seconds };
+}
+
+async function main() {
+    const silentSockets = new Set();
+    const answering = createAnsweringServer();
+    const silent = createSilentServer(silentSockets);
+    const ports = {
+        answering: await listen(answering),
+        silent: await listen(silent),
+        closed: await closedPort()
+    };
+    const targets = buildTargets(ports);
+
+    console.log(`⏱️ ${TARGETS} targets, ${CONCURRENCY} concurrent, ${TIMEOUT}ms timeout, ${MAX_RETRIES} attempts for refused ports\n`);
+
+    const results = [];
+    for (const [name, run] of [['batch', runBatch], ['pool', runPool]]) {
+        results.push(await measure(name, run, targets));
+    }
+
+    console.log('design   time     targets/s  probes  found  silent  refused');
+    for (const result of results) {
+        console.log([
+            result.name.padEnd(8),
+            `${result.seconds.toFixed(2)}s`.padEnd(8),
+            result.rate.toFixed(1).padStart(9),
+            String(result.probes).padStart(7),
+            String(result.found).padStart(6),
+            String(result.silent).padStart(7),
+            String(result.refused).padStart(8)
+        ].join(' '));
+    }
+
+    const [batch, pool] = results;
+    console.log(`\n🏊 pool / batch throughput: ${(pool.rate / batch.rate).toFixed(2)}x`);
+
+    silentSockets.forEach(socket => socket.destroy());
+    answering.close();
+    silent.close();
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
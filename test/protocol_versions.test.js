@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    releasesForProtocol,
+    normalizeVersion,
+    satisfies,
+    matchesVersionFilter,
+    validateVersionFilter
+} = require('../protocol_versions');
+
+const CLIENT = { clientProtocol: 767 };
+
+describe('normalizeVersion', () => {
+    it('takes the release from the protocol when the name agrees', () => {
+        assert.deepEqual(normalizeVersion({ name: 'Paper 1.20.4', protocol: 765 }),
+            { label: '1.20.4', min: '1.20.4', max: '1.20.4', mismatch: false });
+    });
+
+    it('flags a name the protocol contradicts', () => {
+        assert.deepEqual(normalizeVersion({ name: '1.20.4', protocol: 47 }),
+            { label: '1.8.9', min: '1.8.9', max: '1.8.9', mismatch: true });
+    });
+
+    it('reads the range a proxy accepts', () => {
+        assert.deepEqual(normalizeVersion({ name: 'Velocity 3.3.0 (1.7.2-1.21)', protocol: 767 }, CLIENT),
+            { label: '1.7.2-1.21', min: '1.7.2', max: '1.21', mismatch: false });
+    });
+
+    it('trusts the name over an echoed protocol', () => {
+        assert.equal(normalizeVersion({ name: '1.20.1', protocol: 767 }, CLIENT).label, '1.20.1');
+    });
+
+    it('does not turn an echoed protocol into a release when the name has none', () => {
+        assert.deepEqual(normalizeVersion({ name: 'Velocity 3.3.0-SNAPSHOT', protocol: 767 }, CLIENT),
+            { label: 'Unknown', min: null, max: null, mismatch: false });
+    });
+
+    it('still uses the protocol when it differs from the one sent', () => {
+        assert.equal(normalizeVersion({ name: 'Velocity 3.3.0-SNAPSHOT', protocol: 765 }, CLIENT).label, '1.20.4');
+    });
+
+    it('reads legacy ping numbers from their own table', () => {
+        assert.deepEqual(releasesForProtocol(47, { legacy: true }), ['1.4.2']);
+        assert.equal(normalizeVersion({ name: '1.6.4', protocol: 78 }, { pingType: 'legacy' }).label, '1.6.4');
+    });
+});
+
+describe('satisfies', () => {
+    const cases = [
+        ['1.20.4', '>=1.20 <1.21', true],
+        ['1.21', '>=1.20 <1.21', false],
+        ['1.20.6', '1.20', true],
+        ['1.20.6', '1.20.x', true],
+        ['1.20.6', '1.20.4', false],
+        ['1.8.9', '1.8 || >=1.20.5', true],
+        ['1.19.4', '>= 1.19.3', true],
+        ['1.19.4', '=1.19', false]
+    ];
+
+    for (const [version, range, expected] of cases) {
+        it(`${version} ${expected ? 'satisfies' : 'does not satisfy'} "${range}"`, () => {
+            assert.equal(satisfies(version, range), expected);
+        });
+    }
+});
+
+describe('matchesVersionFilter', () => {
+    const proxy = normalizeVersion({ name: 'Velocity 3.3.0 (1.7.2-1.21)', protocol: 767 }, CLIENT);
+
+    it('matches a proxy whose range contains the filter but neither end', () => {
+        assert.equal(matchesVersionFilter(proxy, '>=1.20 <1.21'), true);
+        assert.equal(matchesVersionFilter(proxy, '1.12.2'), true);
+    });
+
+    it('does not match a proxy whose range misses the filter', () => {
+        assert.equal(matchesVersionFilter(proxy, '>=1.21.2'), false);
+        assert.equal(matchesVersionFilter(proxy, '<1.7'), false);
+    });
+
+    it('takes a list of alternatives', () => {
+        const server = normalizeVersion({ name: '1.19.4', protocol: 762 });
+        assert.equal(matchesVersionFilter(server, ['1.20', '1.19']), true);
+        assert.equal(matchesVersionFilter(server, ['1.20', '1.18']), false);
+    });
+
+    it('never matches an unknown version', () => {
+        assert.equal(matchesVersionFilter({ label: 'Unknown', min: null, max: null }, '>=1.0'), false);
+    });
+});
+
+describe('validateVersionFilter', () => {
+    it('accepts every form the README documents', () => {
+        for (const filter of [null, '>=1.20 <1.21', ['1.19.x', '1.20'], '1.8 || >=1.20.5', '>= 1.18']) {
+            assert.doesNotThrow(() => validateVersionFilter(filter));
+        }
+    });
+
+    it('names the part it cannot read', () => {
+        assert.throws(() => validateVersionFilter('^1.20'), { message: /versionFilter "\^1\.20": cannot read "\^1\.20"/ });
+        assert.throws(() => validateVersionFilter(['1.19', '1.20 - 1.21']), { message: /cannot read "-"/ });
+    });
+
+    it('rejects empty alternatives, empty lists and non-strings', () => {
+        assert.throws(() => validateVersionFilter('1.20 ||'), /empty alternative/);
+        assert.throws(() => validateVersionFilter([]), /empty/);
+        assert.throws(() => validateVersionFilter([1.2]), /expected a string/);
+    });
+});
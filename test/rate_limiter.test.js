@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../rate_limiter');
+const { TokenBucket } = require('../rate_limiter');
+const { workerConfig } = require('../scan_cluster');
+
+const START = 1000000;
+
+describe('TokenBucket', () => {
+    it('lets a cost above the burst pass on a full bucket and pays it off', () => {
+        const bucket = new TokenBucket(1, 1, START);
+        assert.equal(bucket.waitTime(2, START), 0);
+        bucket.take(2);
+        assert.equal(bucket.waitTime(1, START), 2000);
+    });
+
+    it('keeps a fractional capacity and waits for it to fill', () => {
+        const bucket = new TokenBucket(0.25, 0.25, START);
+        assert.equal(bucket.capacity, 0.25);
+        bucket.take(1);
+        assert.equal(bucket.waitTime(1, START), 4000);
+        assert.equal(bucket.waitTime(1, START + 4000), 0);
+    });
+});
+
+describe('per-prefix budget across a cluster', () => {
+    const config = {
+        maxConcurrent: 100,
+        packetsPerSecond: 1000,
+        prefixBudgets: [{ name: '/24', prefixV4: 24, prefixV6: 64, rate: 1, burst: 1 }]
+    };
+
+    // Every worker probes the same /24 as often as its limiter allows
+    function probeTimes(workerCount, durationMs) {
+        const shared = workerConfig(config, workerCount);
+        const limiters = Array.from({ length: workerCount }, (_, index) => new RateLimiter({
+            packetsPerSecond: shared.packetsPerSecond,
+            prefixBudgets: shared.prefixBudgets,
+            phase: index / workerCount
+        }));
+
+        const times = [];
+        for (let t = 0; t <= durationMs; t += 10) {
+            for (const limiter of limiters) {
+                if (limiter.acquire('198.51.100.7', 1, START + t) === 0) times.push(t);
+            }
+        }
+        return times;
+    }
+
+    for (const workerCount of [1, 4, 8]) {
+        it(`keeps the cluster at one probe per second with ${workerCount} worker(s)`, () => {
+            const times = probeTimes(workerCount, 10000);
+
+            assert.equal(times.filter(t => t === 0).length, 1, 'more than the burst at once');
+            for (let i = 1; i < times.length; i++) {
+                assert.ok(times[i] - times[i - 1] >= 1000, `probes ${times[i - 1]}ms and ${times[i]}ms are too close`);
+            }
+            assert.ok(times.length >= 10);
+        });
+    }
+});
@@ -0,0 +1,15 @@
+/**
+ * 🧪 Test Runner
+ * Loads every *.test.js file in this directory into one node:test run
+ *
+ * Usage: npm test (or node test/scanner.test.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+for (const file of fs.readdirSync(__dirname).sort()) {
+    if (file.endsWith('.test.js') && file !== path.basename(__filename)) {
+        require(path.join(__dirname, file));
+    }
+}
@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { servers } = require('./fixtures/server_software.json');
+const { fingerprintServer, applyQuerySoftware, decodeForgeData } = require('../server_software');
+
+const neoForge = servers.find(server => server.name.startsWith('NeoForge'));
+
+function pick(software, expected) {
+    return Object.fromEntries(Object.keys(expected).map(key => [key, software[key]]));
+}
+
+describe('status fixture corpus', () => {
+    for (const server of servers) {
+        it(server.name, () => {
+            const software = fingerprintServer(server.status, server.context);
+            assert.deepEqual(pick(software, server.expected), server.expected);
+            assert.ok(software.evidence.length > 0, 'no evidence recorded');
+        });
+    }
+
+    it('does not read "mode" in a vanilla MOTD as a mod hint', () => {
+        const vanilla = servers.find(server => server.name.includes('"mode"'));
+        const software = fingerprintServer(vanilla.status, vanilla.context);
+        assert.deepEqual(software.mods, []);
+        assert.ok(!software.evidence.some(line => /motd/i.test(line)));
+    });
+});
+
+describe('decodeForgeData', () => {
+    it('unpacks a NeoForge mod list with channels and server-only mods', () => {
+        assert.deepEqual(decodeForgeData(neoForge.status.forgeData.d), {
+            truncated: false,
+            mods: [
+                { id: 'minecraft', version: '1.20.4' },
+                { id: 'neoforge', version: '20.4.237' },
+                { id: 'jei', version: '17.3.0.49' },
+                { id: 'serverutils', version: null }
+            ]
+        });
+    });
+
+    it('rejects a length the string cannot hold', () => {
+        assert.throws(() => decodeForgeData('翿翿\u0001'), /out of range/);
+    });
+
+    it('rejects data that ends inside the mod list', () => {
+        // 3 bytes: not truncated, 5 mods, then nothing
+        assert.throws(() => decodeForgeData('\u0003\u0000\u0000\u000a'), /ended early/);
+    });
+});
+
+describe('applyQuerySoftware', () => {
+    const fingerprint = name => {
+        const server = servers.find(candidate => candidate.name === name);
+        return fingerprintServer(server.status, server.context);
+    };
+
+    it('keeps the fingerprint when query is disabled', () => {
+        const software = fingerprint('Paper 1.20.4');
+        assert.equal(applyQuerySoftware(software, null), software);
+    });
+
+    it('names the backend behind a proxy', () => {
+        const software = applyQuerySoftware(fingerprint('BungeeCord'), 'Paper on Bukkit 1.20.4-R0.1-SNAPSHOT');
+        assert.deepEqual(pick(software, { name: 0, type: 0, minecraftVersion: 0, confidence: 0 }), {
+            name: 'Paper',
+            type: 'plugins',
+            minecraftVersion: '1.20.4',
+            confidence: 'high'
+        });
+    });
+
+    it('marks a Forge server reporting Bukkit plugins as a hybrid', () => {
+        const software = applyQuerySoftware(fingerprint('Forge 1.16.5 forgeData mod list'), 'CraftBukkit on Bukkit 1.16.5-R0.1-SNAPSHOT');
+        assert.equal(software.name, 'Forge');
+        assert.equal(software.type, 'hybrid');
+    });
+
+    it('does not let query override a confident backend fingerprint', () => {
+        const software = applyQuerySoftware(fingerprint('Purpur 1.21.1'), 'Paper on Bukkit 1.21.1-R0.1-SNAPSHOT');
+        assert.equal(software.name, 'Purpur');
+        assert.match(software.evidence.at(-1), /query software/);
+    });
+});
@@ -0,0 +1,258 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CIDRSet = require('../cidr_set');
+const { createTargetGenerator } = require('../target_generators');
+
+const PORT = 25565;
+
+function drain(generator, limit = 100000) {
+    const targets = [];
+    let target;
+    while ((target = generator.next()) !== null) {
+        targets.push(target);
+        assert.ok(targets.length <= limit, 'generator never ran out');
+    }
+    return targets;
+}
+
+// "198.51.100.2", "198.51.100.5" → every address in between, within one /24
+function ipv4Range(first, last) {
+    const prefix = first.substring(0, first.lastIndexOf('.'));
+    const start = Number(first.split('.')[3]);
+    const end = Number(last.split('.')[3]);
+    return Array.from({ length: end - start + 1 }, (_, i) => `${prefix}.${start + i}`);
+}
+
+describe('CIDRSet', () => {
+    it('merges overlapping and adjacent entries', () => {
+        const set = new CIDRSet(['10.0.0.0/25', '10.0.0.128/25', '10.0.0.64/26']);
+        assert.equal(set.ranges[4].length, 1);
+        assert.equal(set.size(), 256n);
+    });
+
+    it('subtracts exclusions from both ends and the middle', () => {
+        const set = new CIDRSet(['198.51.100.0/24']).subtract(new CIDRSet(['198.51.100.0/30', '198.51.100.128/25', '198.51.100.10']));
+        assert.equal(set.size(), 256n - 4n - 128n - 1n);
+        assert.ok(!set.contains('198.51.100.10'));
+        assert.ok(set.contains('198.51.100.11'));
+        assert.ok(!set.contains('198.51.100.200'));
+    });
+
+    it('handles IPv6 alongside IPv4', () => {
+        const set = new CIDRSet(['2001:db8::/126', '203.0.113.1']);
+        assert.equal(set.size(), 5n);
+        assert.ok(set.contains('2001:db8::3'));
+        assert.ok(!set.contains('2001:db8::4'));
+        assert.equal(set.addressAt(1n), '2001:db8::');
+    });
+});
+
+describe('range mode', () => {
+    const ipRanges = ['198.51.100.0/26', '203.0.113.16/28'];
+    const excludeSet = new CIDRSet(['198.51.100.8/29', '203.0.113.20']);
+    const expected = new CIDRSet(ipRanges).subtract(excludeSet);
+
+    for (const order of ['permuted', 'sequential']) {
+        it(`visits every allowed address exactly once (${order})`, () => {
+            const targets = drain(createTargetGenerator('range', { port: PORT, ipRanges, excludeSet, order, seed: 'test' }));
+            const hosts = targets.map(target => target.host);
+
+            assert.equal(hosts.length, Number(expected.size()));
+            assert.equal(new Set(hosts).size, hosts.length);
+            assert.ok(hosts.every(host => expected.contains(host)));
+            assert.ok(targets.every(target => target.port === PORT && !target.explicitPort));
+        });
+    }
+
+    it('walks sequential order in address order', () => {
+        const hosts = drain(createTargetGenerator('range', {
+            port: PORT,
+            ipRanges: ['198.51.100.0/29'],
+            excludeSet: new CIDRSet(['198.51.100.2']),
+            order: 'sequential'
+        })).map(target => target.host);
+
+        assert.deepEqual(hosts, ipv4Range('198.51.100.0', '198.51.100.7').filter(host => host !== '198.51.100.2'));
+    });
+
+    it('repeats the same permutation for the same seed', () => {
+        const options = { port: PORT, ipRanges, excludeSet, seed: 'same' };
+        assert.deepEqual(drain(createTargetGenerator('range', options)), drain(createTargetGenerator('range', options)));
+    });
+
+    it('splits shards into disjoint slices that cover the range', () => {
+        const shards = [0, 1, 2].map(shardIndex => drain(createTargetGenerator('range', {
+            port: PORT, ipRanges, excludeSet, seed: 'test', shardIndex, shardCount: 3
+        })).map(target => target.host));
+        const all = shards.flat();
+
+        assert.equal(all.length, Number(expected.size()));
+        assert.equal(new Set(all).size, all.length);
+    });
+
+    it('resumes from a saved cursor without repeats', () => {
+        const options = { port: PORT, ipRanges, excludeSet, seed: 'resume' };
+        const first = createTargetGenerator('range', options);
+        const before = Array.from({ length: 10 }, () => first.next().host);
+
+        const second = createTargetGenerator('range', options);
+        second.restore(JSON.parse(JSON.stringify(first.getState())));
+        const after = drain(second).map(target => target.host);
+
+        assert.equal(before.length + after.length, Number(expected.size()));
+        assert.equal(new Set([...before, ...after]).size, before.length + after.length);
+        assert.equal(second.progress.ratio, 1);
+    });
+
+    it('covers an IPv6 range', () => {
+        const hosts = drain(createTargetGenerator('range', {
+            port: PORT,
+            ipRanges: ['2001:db8::/124'],
+            excludeSet: new CIDRSet(['2001:db8::/127'])
+        })).map(target => target.host);
+
+        assert.equal(hosts.length, 14);
+        assert.ok(!hosts.includes('2001:db8::') && !hosts.includes('2001:db8::1'));
+        assert.ok(hosts.includes('2001:db8::f'));
+    });
+
+    it('ends at once when exclusions cover every range', () => {
+        const generator = createTargetGenerator('range', {
+            port: PORT,
+            ipRanges: ['198.51.100.0/24'],
+            excludeSet: new CIDRSet(['198.51.100.0/23'])
+        });
+        assert.equal(generator.next(), null);
+    });
+});
+
+describe('random mode', () => {
+    it('stays inside ipRanges and outside excludeRanges', () => {
+        const ipRanges = ['198.51.100.0/28', '2001:db8::/124'];
+        const excludeSet = new CIDRSet(['198.51.100.0/30', '2001:db8::8/125']);
+        const allowed = new CIDRSet(ipRanges).subtract(excludeSet);
+        const generator = createTargetGenerator('random', { port: PORT, ipRanges, excludeSet });
+
+        const seen = new Set();
+        for (let i = 0; i < 2000; i++) {
+            const { host, port } = generator.next();
+            assert.ok(allowed.contains(host), `${host} is outside the allowed ranges`);
+            assert.equal(port, PORT);
+            seen.add(host);
+        }
+
+        // 12 + 8 addresses: 2000 uniform draws reach every one of them
+        assert.equal(seen.size, Number(allowed.size()));
+    });
+
+    it('returns null when nothing is allowed', () => {
+        const generator = createTargetGenerator('random', {
+            port: PORT,
+            ipRanges: ['198.51.100.0/24'],
+            excludeSet: new CIDRSet(['198.51.100.0/24'])
+        });
+        assert.equal(generator.next(), null);
+    });
+});
+
+describe('smart-random mode', () => {
+    it('skips excluded addresses from the strategy', () => {
+        const draws = ['10.0.0.1', '198.51.100.7', '192.168.1.1', '203.0.113.9'];
+        const generator = createTargetGenerator('smart-random', {
+            port: PORT,
+            excludeSet: new CIDRSet(['10.0.0.0/8', '192.168.0.0/16']),
+            generateSmartIP: () => draws.shift()
+        });
+
+        assert.equal(generator.next().host, '198.51.100.7');
+        assert.equal(generator.next().host, '203.0.113.9');
+    });
+
+    it('gives up when every draw is excluded', () => {
+        const generator = createTargetGenerator('smart-random', {
+            port: PORT,
+            excludeSet: new CIDRSet(['10.0.0.0/8']),
+            generateSmartIP: () => '10.1.2.3'
+        });
+        assert.equal(generator.next(), null);
+    });
+});
+
+describe('targeted mode', () => {
+    const entries = [
+        'play.example.net',
+        'mc.example.org:25570',
+        '203.0.113.17',
+        '203.0.113.18:25599',
+        '[2001:db8::10]:25566',
+        '2001:db8::20',
+        '198.51.100.0/30',
+        '2001:db8:1::/126',
+        '10.0.0.5',
+        'bad host:port:99999'
+    ];
+
+    function run(options = {}) {
+        const invalid = [];
+        const generator = createTargetGenerator('targeted', {
+            port: PORT,
+            excludeSet: new CIDRSet(['10.0.0.0/8', '198.51.100.2', '2001:db8:1::3']),
+            entries,
+            onInvalid: entry => invalid.push(entry),
+            ...options
+        });
+        return { targets: drain(generator), invalid, generator };
+    }
+
+    it('reads hostnames, addresses, ports, IPv6 and CIDR entries in order', () => {
+        const { targets } = run();
+
+        assert.deepEqual(targets, [
+            { host: 'play.example.net', port: 25565, explicitPort: false },
+            { host: 'mc.example.org', port: 25570, explicitPort: true },
+            { host: '203.0.113.17', port: 25565, explicitPort: false },
+            { host: '203.0.113.18', port: 25599, explicitPort: true },
+            { host: '2001:db8::10', port: 25566, explicitPort: true },
+            { host: '2001:db8::20', port: 25565, explicitPort: false },
+            { host: '198.51.100.0', port: 25565, explicitPort: false },
+            { host: '198.51.100.1', port: 25565, explicitPort: false },
+            { host: '198.51.100.3', port: 25565, explicitPort: false },
+            { host: '2001:db8:1::', port: 25565, explicitPort: false },
+            { host: '2001:db8:1::1', port: 25565, explicitPort: false },
+            { host: '2001:db8:1::2', port: 25565, explicitPort: false }
+        ]);
+    });
+
+    it('reports malformed entries and keeps going', () => {
+        assert.deepEqual(run().invalid, ['bad host:port:99999']);
+    });
+
+    it('counts progress per entry', () => {
+        const { generator } = run();
+        assert.equal(generator.progress.ratio, 1);
+        assert.equal(generator.progress.total, BigInt(entries.length));
+    });
+
+    it('resumes inside a CIDR entry', () => {
+        const first = createTargetGenerator('targeted', { port: PORT, excludeSet: new CIDRSet(), entries: ['198.51.100.0/29'] });
+        first.next();
+        first.next();
+
+        const second = createTargetGenerator('targeted', { port: PORT, excludeSet: new CIDRSet(), entries: ['198.51.100.0/29'] });
+        second.restore(JSON.parse(JSON.stringify(first.getState())));
+        assert.deepEqual(drain(second).map(target => target.host), ipv4Range('198.51.100.2', '198.51.100.7'));
+    });
+
+    it('splits entries between shards', () => {
+        const hosts = [0, 1].flatMap(shardIndex => run({ shardIndex, shardCount: 2 }).targets.map(target => target.host));
+        assert.deepEqual(hosts.sort(), run().targets.map(target => target.host).sort());
+    });
+
+    it('requires a target list', () => {
+        assert.throws(() => createTargetGenerator('targeted', { port: PORT, excludeSet: new CIDRSet() }), /targetFile/);
+    });
+});
+
+it('rejects an unknown scan mode', () => {
+    assert.throws(() => createTargetGenerator('sweep', { excludeSet: new CIDRSet() }), /Unknown scan mode/);
+});